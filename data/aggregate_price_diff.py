@@ -2,6 +2,16 @@ import argparse
 import pandas as pd
 
 
+# Share of sales cut from each end for the trimmed mean (matches aggregate.js)
+TRIM_PROPORTION = 0.1
+
+
+def trimmed_mean(values):
+    values = values.sort_values()
+    cut = int(len(values) * TRIM_PROPORTION)
+    return values.iloc[cut:len(values) - cut].mean()
+
+
 if __name__ == "__main__":
 
     parser = argparse.ArgumentParser(description="Clean price difference data")
@@ -17,6 +27,11 @@ if __name__ == "__main__":
         default="processed",
         help="Directory where the cleaned data will be saved",
     )
+    parser.add_argument(
+        "--distribution",
+        action="store_true",
+        help="Also save each group's median, trimmed mean, quartiles and sales count",
+    )
     args = parser.parse_args()
     data_dir = args.data_dir
     output_dir = args.output_dir
@@ -64,6 +79,22 @@ if __name__ == "__main__":
     # add row for difference between investor and non investor
     pivoted["mean profit diff"] = pivoted["total investor profit"] - pivoted["noninvestor profit"]
 
+    # Distribution columns, named as FlowChart reads them (flowData.js),
+    # e.g. "total investor median profit", "noninvestor profit q1"
+    if args.distribution:
+        by_group = df.groupby(["year", "investor_sold"])["price_diff"]
+        stats = {
+            "{} median profit": by_group.median(),
+            "{} trimmed mean profit": by_group.apply(trimmed_mean),
+            "{} profit q1": by_group.quantile(0.25),
+            "{} profit q3": by_group.quantile(0.75),
+            "{} sales count": by_group.count(),
+        }
+        for group, prefix in [(0, "noninvestor"), (1, "total investor")]:
+            for name, values in stats.items():
+                column = values.xs(group, level="investor_sold")
+                pivoted[name.format(prefix)] = pivoted["year"].map(column)
+
     # Save the data
     pivoted.to_csv(f"{output_dir}/mapc_region_residential_sales_clean_aggregated.csv", index=False)
     print(f"Data saved to {output_dir}/mapc_region_residential_sales_clean_aggregated.csv")
@@ -1,24 +1,31 @@
 import './App.css';
 import Navigation from './components/nav_dots/Navigation';
 import Header from "./components/Header_Component/Header";
-import Flow from "./components/flow_plot/Flow";
 import DevProc from './components/dev_process/DevProc';
-import ScrollLine from './components/line_connector/ScrollLineConnector';
+import Chapters from './components/chapters/Chapters';
+import { ScrollProvider } from './components/scroll/ScrollProvider';
+import { SectionProvider } from './components/sections/SectionRegistry';
+import { SiteStoreProvider } from './components/store/siteStore';
 
 function App() {
   return (
+    <ScrollProvider>
+    <SectionProvider>
+    <SiteStoreProvider>
     <div className="App">
      
       <div className="wrapper">
       <Navigation />
       
       <Header />
-      <ScrollLine />
-      <Flow />
+      <Chapters />
       <DevProc />
       </div>
       
     </div>
+    </SiteStoreProvider>
+    </SectionProvider>
+    </ScrollProvider>
   );
 }
 
@@ -0,0 +1,95 @@
+import React, { Component, Suspense, lazy, useState } from 'react';
+import './Chapters.css';
+import { CHAPTERS, validateChapters } from './chapterConfig';
+import ScrollLine from '../line_connector/ScrollLineConnector';
+import { Section } from '../sections/SectionRegistry';
+import { useSectionScroll } from '../scroll/ScrollProvider';
+
+/**
+ * Chapters
+ *
+ * Renders the chapters in chapterConfig.js, each as its intro connector, then a
+ * section holding its visualization and sources. A visualization's code is
+ * only fetched once its section is within a couple of screens of the
+ * viewport; until then a placeholder holds its place.
+ */
+
+// How many viewport heights ahead of the reader a chapter starts loading
+const LOAD_AHEAD = 2;
+
+// Each chapter's lazy component, made once so React keeps it between renders
+export function withVisualizations(chapters) {
+  return validateChapters(chapters).map(chapter => ({ ...chapter, Visualization: lazy(chapter.load) }));
+}
+
+const DEFAULT_CHAPTERS = withVisualizations(CHAPTERS);
+
+// Keeps a chart that fails to load (or throws) from taking the page down with it
+class ChapterBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <p role="status" className="chapter__status">
+          Couldn't load this chart ({this.state.error.message}).
+        </p>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+function Sources({ sources }) {
+  if (!sources.length) return null;
+  return (
+    <p className="chapter__sources">
+      Sources:{' '}
+      {sources.map((source, i) => (
+        <React.Fragment key={source.label}>
+          {i > 0 && '; '}
+          {source.url ? <a href={source.url} target="_blank" rel="noreferrer">{source.label}</a> : source.label}
+        </React.Fragment>
+      ))}
+    </p>
+  );
+}
+
+function Chapter({ chapter }) {
+  const { id, title, intro, sources, Visualization } = chapter;
+  const [near, setNear] = useState(false);
+
+  useSectionScroll(near ? null : id, ({ top, viewportHeight }) => {
+    if (top < viewportHeight * LOAD_AHEAD) setNear(true);
+  });
+
+  return (
+    <>
+      <ScrollLine id={`${id}-intro`}>{intro}</ScrollLine>
+      <Section id={id} title={title} className="chapter">
+        {near ? (
+          <ChapterBoundary>
+            <Suspense fallback={<p role="status" className="chapter__status">Loading chart…</p>}>
+              <Visualization sectionId={id} />
+            </Suspense>
+          </ChapterBoundary>
+        ) : (
+          <div className="chapter__placeholder" />
+        )}
+        <Sources sources={sources} />
+      </Section>
+    </>
+  );
+}
+
+/**
+ * `chapters` is for tests; pass a list made by withVisualizations. The page
+ * uses chapterConfig.js.
+ */
+export default function Chapters({ chapters = DEFAULT_CHAPTERS }) {
+  return chapters.map(chapter => <Chapter key={chapter.id} chapter={chapter} />);
+}
@@ -0,0 +1,67 @@
+/**
+ * Chapters
+ *
+ * The story's chapters, in page order. Each one is rendered by Chapters.js
+ * as an intro connector (the line and text box of ScrollLineConnector.js)
+ * followed by its visualization, loaded only as the reader scrolls near it,
+ * and a list of its data sources. Chapters register as page sections, so the
+ * navigation dots pick them up too.
+ *
+ *   id       section id, also the URL hash ("#viz?year=2008") the chart writes to
+ *   title    the navigation label
+ *   intro    text of the intro box
+ *   load     () => import('...') of a module whose default export is the
+ *            visualization; it gets `sectionId` (the chapter id) as a prop
+ *   sources  [{ label, url }] the chapter's data comes from
+ *
+ * Adding a chapter is an entry here and its component; App.js doesn't change.
+ */
+
+export const CHAPTERS = [
+  {
+    id: 'viz',
+    title: 'Investor vs. owner profits',
+    intro: 'Speculation, or the practice of housing investment for profit generation, has been a major part of the Boston housing ecosystem. In our analysis, we seek to understand the impact of speculation on housing availability and prices as well as the mechanisms by which speculation is causing disproportionate impact on the affordable housing market. We start our exploration with a visualization showing the profit generation of speculators and non-investors alongside the S&P Boston, MA Home Pricing Index (BOXRSA). You will notice certain trends about the data, including large drops in profits during the 2008 recession and a steady increase in investor profits over time. We also see that the BOXRSA has been steadily increasing over time, indicating that housing prices are rising. This is a concerning trend, as it suggests that speculation is driving up housing prices and making it more difficult for people to afford homes.',
+    load: () => import('../flow_plot/Flow'),
+    sources: [
+      { label: 'MAPC Region Residential Sales (2000-2022)', url: 'https://datacommon.mapc.org/' },
+      { label: 'S&P CoreLogic Case-Shiller MA-Boston Home Price Index', url: 'https://fred.stlouisfed.org/series/BOXRSA' },
+      { label: 'BLS Consumer Price Index (CPI-U)', url: 'https://www.bls.gov/cpi/' }
+    ]
+  }
+];
+
+// Section ids the rest of the page uses (Header.js, DevProc.js)
+export const OTHER_SECTION_IDS = ['home', 'dev'];
+
+/**
+ * Check a chapter list => the same list. Throws an Error naming the first
+ * bad chapter, including one whose id another chapter or section has.
+ */
+export function validateChapters(chapters) {
+  if (!Array.isArray(chapters) || !chapters.length) {
+    throw new Error('Chapters: the list needs at least one chapter.');
+  }
+  const seen = new Set();
+  chapters.forEach((chapter, i) => {
+    const { id, title, intro, load, sources } = chapter || {};
+    if (!id || !/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Chapters: chapter ${i + 1} needs an id of lowercase letters, digits and dashes.`);
+    }
+    if (seen.has(id)) throw new Error(`Chapters: duplicate chapter id "${id}".`);
+    if (OTHER_SECTION_IDS.includes(id)) {
+      throw new Error(`Chapters: "${id}" is already the id of another page section.`);
+    }
+    seen.add(id);
+    if (!title || !intro) {
+      throw new Error(`Chapters: "${id}" needs a title and intro text.`);
+    }
+    if (typeof load !== 'function') {
+      throw new Error(`Chapters: "${id}" needs a load() that imports its visualization.`);
+    }
+    if (!Array.isArray(sources) || sources.some(source => !source || !source.label)) {
+      throw new Error(`Chapters: "${id}" needs a list of sources, each with a label.`);
+    }
+  });
+  return chapters;
+}
@@ -0,0 +1,53 @@
+import { render, screen } from '@testing-library/react';
+import Chapters, { withVisualizations } from './Chapters';
+import { CHAPTERS, validateChapters } from './chapterConfig';
+import NavigationDots from '../nav_dots/Navigation';
+import { SectionProvider } from '../sections/SectionRegistry';
+
+const chapter = {
+  id: 'rents',
+  title: 'Rents',
+  intro: 'Rents rose too.',
+  load: () => Promise.resolve({ default: ({ sectionId }) => <p>{`Rent chart in #${sectionId}`}</p> }),
+  sources: [{ label: 'Rent survey', url: 'https://example.org/rents' }]
+};
+
+test('the bundled chapters are valid', () => {
+  expect(validateChapters(CHAPTERS)).toBe(CHAPTERS);
+});
+
+test.each([
+  [[], /at least one chapter/],
+  [[{ ...chapter, id: 'Rents!' }], /chapter 1 needs an id/],
+  [[chapter, { ...chapter }], /duplicate chapter id "rents"/],
+  [[{ ...chapter, id: 'dev' }], /"dev" is already the id of another page section/],
+  [[{ ...chapter, intro: '' }], /"rents" needs a title and intro text/],
+  [[{ ...chapter, load: 'Rents.js' }], /"rents" needs a load\(\)/],
+  [[{ ...chapter, sources: [{ url: 'https://example.org' }] }], /each with a label/]
+])('rejects bad chapters', (chapters, message) => {
+  expect(() => validateChapters(chapters)).toThrow(message);
+});
+
+test('renders each chapter with its intro, chart, sources and a navigation dot', async () => {
+  render(
+    <SectionProvider>
+      <NavigationDots />
+      <Chapters chapters={withVisualizations([chapter])} />
+    </SectionProvider>
+  );
+
+  expect(screen.getByText('Rents rose too.')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Rent survey' })).toHaveAttribute('href', 'https://example.org/rents');
+  expect(screen.getByRole('button', { name: 'Go to Rents' })).toBeInTheDocument();
+  expect(await screen.findByText('Rent chart in #rents')).toBeInTheDocument();
+});
+
+test('a chart that fails to load leaves a message, not a broken page', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const broken = { ...chapter, load: () => Promise.reject(new Error('chunk failed')) };
+
+  render(<Chapters chapters={withVisualizations([broken])} />);
+
+  expect(await screen.findByText("Couldn't load this chart (chunk failed).")).toBeInTheDocument();
+  console.error.mockRestore();
+});
@@ -1,10 +1,11 @@
 import React from 'react';
 
 import './DevProc.css'; 
+import { Section } from '../sections/SectionRegistry';
 
 const DevProc = () => {
   return (
-    <div className='dev section' id='dev'>
+    <Section className='dev section' id='dev' title='Development process'>
       <h2>Development Process</h2>
       <h4>How we built the visualization, and what we're going to do next!</h4>
       <h3>Design Decisions</h3>
@@ -17,7 +18,7 @@ const DevProc = () => {
       <h3>Future Work</h3>
       <p>We plan to devote the next 4.5 calendar weeks (~18 person-weeks) to building five to six linked visualizations, a cohesive narrative, and an integrated website. In the first week, we will finalize data processing and outline a high-level design plan for all visuals. Ben will create the foundational website structure (TypeScript/D3.js) and ensure each visualization “slot” is ready to accept interactive components (Deadline: Week 1). Meanwhile, Nitish, Adam, and Martin will refine the residential sales data and confirm our main narrative threads, making sure we identify the key stories each visualization will tell (Deadline: Week 1). By the end of Week 2.5 (our MVP milestone), we aim to have at least three of our visualizations fully functional, with core interactions and basic storytelling elements (e.g., annotations, tooltips, transitions). Ben will focus on hooking up interactivity (like zooming and time sliders) for these initial visualizations (Deadline: Week 2.5), Nitish and Martin will handle any remaining data manipulations (such as subsetting or calculating profit margins), and Adam will finalize the narrative text and page layout for each section of the site (Deadline: Week 2.5). In Weeks 3 and 4, we will complete the remaining two to three visualizations, polish transitions and color encodings, and tightly weave the story so that viewers can seamlessly move from one chart to the next. Throughout, the entire team will meet for design feedback sessions, and all four of us will contribute to refining both the code and narrative elements as we go.</p>
       <p>If something goes wrong—such as data issues, technical roadblocks, or time underestimation—we will prioritize the must-have visuals that best tell the story of rising speculative investment. Our fallback plan is to pare down the complexity of any visualizations that prove too time-consuming, focus on fewer but clearer interactive elements, or consolidate similar plots into a single overview chart if necessary. By identifying optional “nice-to-haves” early (such as advanced transitions or additional segmentation by investor type), we can still present a coherent narrative even if we have to drop certain visual flourishes in order to meet our deadlines.</p>
-    </div>
+    </Section>
   );
 };
 
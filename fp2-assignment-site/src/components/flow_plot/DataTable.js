@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+
+/**
+ * DataTable
+ *
+ * Plain, sortable table of the numbers behind FlowChart, for readers who
+ * want the data rather than the dots (and for screen readers).
+ *
+ * columns: [{ key, label, value: row => number|null, format: value => string }]
+ * highlightYear: the row with this `year` is marked as the current one.
+ */
+
+// Sort rows by a column; missing values always go last
+export function sortRows(rows, column, direction) {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const va = column.value(a);
+    const vb = column.value(b);
+    if (va == null) return vb == null ? 0 : 1;
+    if (vb == null) return -1;
+    return sign * (va - vb);
+  });
+}
+
+// Tab-separated text (header row first), ready to paste into a spreadsheet
+export function toTsv(columns, rows) {
+  const header = columns.map(c => c.label).join('\t');
+  const lines = rows.map(row => columns.map(c => {
+    const value = c.value(row);
+    return value == null ? '' : String(Math.round(value * 100) / 100);
+  }).join('\t'));
+  return [header, ...lines].join('\n');
+}
+
+function DataTable({ columns, rows, highlightYear, caption }) {
+  const [sort, setSort] = useState({ key: 'year', direction: 'asc' });
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const sortColumn = columns.find(c => c.key === sort.key) || columns[0];
+  const sortedRows = sortRows(rows, sortColumn, sort.direction);
+
+  function toggleSort(key) {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  }
+
+  function copy() {
+    const text = toTsv(columns, sortedRows);
+    if (!navigator.clipboard) {
+      setCopyStatus('Copying is not supported in this browser');
+      return;
+    }
+    navigator.clipboard.writeText(text)
+      .then(() => setCopyStatus('Copied!'))
+      .catch(() => setCopyStatus('Could not copy'));
+  }
+
+  return (
+    <div className="flow-table">
+      <div className="flow-table__toolbar">
+        <button type="button" onClick={copy}>Copy as TSV</button>
+        <span role="status">{copyStatus}</span>
+      </div>
+      <table>
+        <caption>{caption}</caption>
+        <thead>
+          <tr>
+            {columns.map(c => {
+              const active = c.key === sortColumn.key;
+              return (
+                <th
+                  key={c.key}
+                  scope="col"
+                  aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button type="button" onClick={() => toggleSort(c.key)}>
+                    {c.label}
+                    <span aria-hidden="true">{active ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}</span>
+                  </button>
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.map(row => (
+            <tr
+              key={row.year}
+              className={row.year === highlightYear ? 'flow-table__row--current' : undefined}
+              aria-current={row.year === highlightYear ? 'true' : undefined}
+            >
+              {columns.map(c => {
+                const value = c.value(row);
+                return <td key={c.key}>{value == null ? '—' : c.format(value)}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default DataTable;
@@ -0,0 +1,35 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import DataTable, { sortRows, toTsv } from './DataTable';
+
+const columns = [
+  { key: 'year', label: 'Year', value: d => d.year, format: v => v },
+  { key: 'investor', label: 'Investor profit', value: d => d.investor, format: v => `$${v}` },
+  { key: 'hpi', label: 'HPI', value: d => d.hpi, format: v => v.toFixed(2) }
+];
+
+const rows = [
+  { year: 2000, investor: 30000, hpi: 150.123 },
+  { year: 2001, investor: 10000, hpi: null },
+  { year: 2002, investor: 20000, hpi: 170 }
+];
+
+test('sorts by a column and keeps missing values last', () => {
+  expect(sortRows(rows, columns[1], 'asc').map(r => r.year)).toEqual([2001, 2002, 2000]);
+  expect(sortRows(rows, columns[2], 'desc').map(r => r.year)).toEqual([2002, 2000, 2001]);
+});
+
+test('formats TSV with a header row and blanks for missing values', () => {
+  expect(toTsv(columns, rows)).toBe(
+    'Year\tInvestor profit\tHPI\n2000\t30000\t150.12\n2001\t10000\t\n2002\t20000\t170'
+  );
+});
+
+test('clicking a header sorts the table and marks the current year', () => {
+  render(<DataTable columns={columns} rows={rows} highlightYear={2001} caption="Profits" />);
+
+  fireEvent.click(screen.getByRole('button', { name: /Investor profit/ }));
+  const bodyRows = screen.getAllByRole('row').slice(1);
+  expect(bodyRows.map(r => within(r).getAllByRole('cell')[0].textContent)).toEqual(['2001', '2002', '2000']);
+  expect(bodyRows[0]).toHaveAttribute('aria-current', 'true');
+  expect(screen.getByRole('columnheader', { name: /Investor profit/ })).toHaveAttribute('aria-sort', 'ascending');
+});
@@ -0,0 +1,143 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+/**
+ * ExportMenu
+ *
+ * The "Export" button beside FlowChart's Play / Reset and the panel it opens:
+ * the current year as SVG or PNG, or an animation between two years at a
+ * chosen frame rate as WebM. FlowChart does the rendering (see
+ * exportFrame.js / exportMedia.js); this only collects the choices and shows
+ * progress and errors.
+ *
+ * - `onExportFrame(format)` => Promise, format 'svg' or 'png'
+ * - `onExportAnimation({ from, to, fps }, { onProgress, signal })` => Promise;
+ *   onProgress(done, total) per frame, `signal` aborts on Cancel
+ * - `canRecord` false hides the animation form (no MediaRecorder)
+ */
+
+const FRAME_RATES = [12, 24, 30];
+
+function ExportMenu({ minYear, maxYear, onExportFrame, onExportAnimation, canRecord = true }) {
+  const [open, setOpen] = useState(false);
+  const [from, setFrom] = useState(Math.ceil(minYear));
+  const [to, setTo] = useState(Math.floor(maxYear));
+  const [fps, setFps] = useState(24);
+  const [status, setStatus] = useState(null); // { busy, message }
+  const abortRef = useRef(null);
+
+  // A new region or data file can move the bounds; start the range over from them
+  useEffect(() => {
+    setFrom(Math.ceil(minYear));
+    setTo(Math.floor(maxYear));
+  }, [minYear, maxYear]);
+
+  // Cancel a recording if the chart goes away mid-export
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const busy = status != null && status.busy;
+  const rangeError = !(from < to)
+    ? 'The animation must end after it starts.'
+    : (from < minYear || to > maxYear ? `Pick years between ${Math.ceil(minYear)} and ${Math.floor(maxYear)}.` : null);
+
+  function run(promise, doneMessage) {
+    return promise.then(
+      () => setStatus({ busy: false, message: doneMessage }),
+      error => setStatus({ busy: false, message: error.message, error: true })
+    );
+  }
+
+  function exportFrame(format) {
+    setStatus({ busy: true, message: `Rendering ${format.toUpperCase()}…` });
+    run(onExportFrame(format), `${format.toUpperCase()} saved.`);
+  }
+
+  function exportAnimation() {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setStatus({ busy: true, message: 'Rendering video…' });
+    run(onExportAnimation({ from, to, fps }, {
+      signal: controller.signal,
+      onProgress: (done, total) => setStatus({ busy: true, message: `Rendering video… frame ${done} of ${total}` })
+    }), 'Video saved.').then(() => {
+      abortRef.current = null;
+    });
+  }
+
+  const yearInput = (label, value, onChange) => (
+    <label>
+      {label}{' '}
+      <input
+        type="number"
+        min={Math.ceil(minYear)}
+        max={Math.floor(maxYear)}
+        step="0.5"
+        value={value}
+        disabled={busy}
+        onChange={e => onChange(parseFloat(e.target.value))}
+      />
+    </label>
+  );
+
+  return (
+    <span className="flow-export">
+      <button
+        type="button"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+        style={{
+          marginLeft: '0.5rem',
+          padding: '0.25rem 0.75rem',
+          backgroundColor: open ? '#1A6692' : '#757575',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        ⤓ Export
+      </button>
+
+      {open && (
+        <div className="flow-export__panel" role="group" aria-label="Export the chart">
+          <div className="flow-export__row">
+            <span>Current year:</span>
+            <button type="button" disabled={busy} onClick={() => exportFrame('svg')}>SVG</button>
+            <button type="button" disabled={busy} onClick={() => exportFrame('png')}>PNG</button>
+          </div>
+
+          {canRecord ? (
+            <div className="flow-export__row">
+              <span>Animation:</span>
+              {yearInput('from', from, setFrom)}
+              {yearInput('to', to, setTo)}
+              <label>
+                at{' '}
+                <select value={fps} disabled={busy} onChange={e => setFps(+e.target.value)}>
+                  {FRAME_RATES.map(rate => <option key={rate} value={rate}>{rate} fps</option>)}
+                </select>
+              </label>
+              {busy && abortRef.current ? (
+                <button type="button" onClick={() => abortRef.current.abort()}>Cancel</button>
+              ) : (
+                <button type="button" disabled={busy || rangeError != null} onClick={exportAnimation}>WebM</button>
+              )}
+            </div>
+          ) : (
+            <p className="flow-export__note">This browser can't record video, so only still frames can be exported.</p>
+          )}
+          {canRecord && rangeError && <p className="flow-export__note">{rangeError}</p>}
+
+          {status && (
+            <p role="status" className={`flow-export__note${status.error ? ' flow-export__note--error' : ''}`}>
+              {status.message}
+            </p>
+          )}
+        </div>
+      )}
+    </span>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,20 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import ExportMenu from './ExportMenu';
+
+const noop = () => Promise.resolve();
+
+function menu(minYear, maxYear) {
+  return <ExportMenu minYear={minYear} maxYear={maxYear} onExportFrame={noop} onExportAnimation={noop} />;
+}
+
+test('the animation range follows new year bounds', () => {
+  const { rerender } = render(menu(2000, 2010.5));
+  fireEvent.click(screen.getByRole('button', { name: /Export/ }));
+  expect(screen.getByLabelText('from')).toHaveValue(2000);
+  expect(screen.getByLabelText('to')).toHaveValue(2010);
+
+  rerender(menu(2004.25, 2022));
+  expect(screen.getByLabelText('from')).toHaveValue(2005);
+  expect(screen.getByLabelText('to')).toHaveValue(2022);
+  expect(screen.getByRole('button', { name: 'WebM' })).toBeEnabled();
+});
@@ -1,16 +1,124 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import * as d3 from 'd3';
 
 import './Flow.css'; 
 import FlowChart from './chart'
+import SmallMultiples from './SmallMultiples';
+import ScrollStory from './ScrollStory';
+import { FLOW_STORY, validateStory } from './flowStory';
+import { parseRegionManifest, regionUrl } from './regions';
+import { readUrlState, writeUrlState } from '../../urlState';
+import { useSiteState, useSiteStore } from '../store/siteStore';
+
+const STORY = validateStory(FLOW_STORY);
+
+// Region asked for in the URL ("#viz?region=boston"), if any
+function urlRegion(sectionId) {
+  const { section, params } = readUrlState();
+  return section === sectionId && params.region ? params.region : null;
+}
+
+// A link to a particular year ("#viz?year=2008.5") shouldn't be scrolled away from
+function urlHasYear(sectionId) {
+  const { section, params } = readUrlState();
+  return section === sectionId && params.year != null;
+}
+
+/**
+ * The profits chapter (see chapters/chapterConfig.js): region picker, the
+ * bubble chart with its scroll story, and the small multiples. `sectionId`
+ * is the chapter's section, whose URL hash holds the chart's state.
+ */
+const Flow = ({ sectionId = 'viz' }) => {
+  // The year and region are site-wide (siteStore.js): FlowChart and the
+  // small multiples follow the same year, and other charts the same region
+  const siteStore = useSiteStore();
+  const time = useSiteState(state => state.year);
+  const regionId = useSiteState(state => state.region);
+  const setTime = year => siteStore.setState({ year });
+
+  // Regions from public/regions.json (see regions.js)
+  const [manifest, setManifest] = useState(null);
+  const [manifestError, setManifestError] = useState(null);
+
+  // Scrollytelling: page scroll drives the year while the chart is pinned
+  const [storyMode, setStoryMode] = useState(() => !urlHasYear(sectionId));
+
+  useEffect(() => {
+    d3.json(`${process.env.PUBLIC_URL}/regions.json`).then((json) => {
+      setManifest(parseRegionManifest(json));
+    }).catch(setManifestError);
+  }, []);
+
+  // The region in the URL on load, and after back/forward
+  useEffect(() => {
+    const readRegion = () => siteStore.setState({ region: urlRegion(sectionId) });
+    readRegion();
+    window.addEventListener('popstate', readRegion);
+    return () => window.removeEventListener('popstate', readRegion);
+  }, [siteStore, sectionId]);
+
+  const region = manifest && (
+    manifest.regions.find(r => r.id === regionId) ||
+    manifest.regions.find(r => r.id === manifest.defaultId)
+  );
+
+  function selectRegion(id) {
+    siteStore.setState({ region: id });
+    // Keep the chart's own params (year, mode...) alongside the region
+    const { section, params } = readUrlState();
+    writeUrlState(sectionId, {
+      ...(section === sectionId ? params : {}),
+      region: id === manifest.defaultId ? null : id
+    });
+  }
+
+  // Without a manifest the chart falls back to its default file
+  const ready = region || manifestError;
 
-const Flow = () => {
   return (
-    <div className='flow section' id='viz'>
+    <div className='flow'>
       <h2>Who is Collecting More Profit in the Boston Housing Market?</h2>
       <h4>Visualizing the allocation of profit between investors and non-investors.</h4>
-      <FlowChart id="chart-container"/>
+
+      {/* Nothing to pick between until the manifest lists a second region */}
+      {region && manifest.regions.length > 1 && (
+        <div className="flow-region-picker">
+          <label htmlFor="flow-region">Region</label>
+          <select id="flow-region" value={region.id} onChange={e => selectRegion(e.target.value)}>
+            {manifest.regions.map(r => (
+              <option key={r.id} value={r.id}>{r.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      {manifestError && (
+        <p role="status" className="flow-data-warnings">
+          Couldn't read the region list ({manifestError.message}). Showing the MAPC region.
+        </p>
+      )}
+
+      {ready && (
+        <>
+          <div className="flow-story-toggle">
+            <button type="button" aria-pressed={storyMode} onClick={() => setStoryMode(!storyMode)}>
+              {storyMode ? 'Explore freely' : 'Play as a scroll story'}
+            </button>
+          </div>
+          <ScrollStory story={STORY} enabled={storyMode} time={time} onTimeChange={setTime}>
+            <FlowChart
+              id="chart-container"
+              sectionId={sectionId}
+              csvUrl={region ? regionUrl(region) : undefined}
+              regionLabel={region ? region.label : undefined}
+            />
+          </ScrollStory>
+          <h4>Compare each group's profit over time.</h4>
+          <SmallMultiples csvUrl={region ? regionUrl(region) : undefined} />
+        </>
+      )}
     </div>
   );
 };
 
-export default Flow;
\ No newline at end of file
+export default Flow;
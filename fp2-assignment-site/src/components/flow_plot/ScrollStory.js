@@ -0,0 +1,64 @@
+import React, { useRef } from 'react';
+import { activeStepIndex, pinProgress, progressToYear } from './flowStory';
+import { useSectionScroll } from '../scroll/ScrollProvider';
+
+/**
+ * ScrollStory
+ *
+ * Scrollytelling around a chart: the children stay pinned (position: sticky)
+ * while the page scrolls through a section `story.screens` viewports tall,
+ * and scroll progress through it is reported as a year via `onTimeChange`.
+ * The story's steps (see flowStory.js) fade in over the chart as `time`
+ * reaches them. Scrolling past either end releases the pin, leaving the
+ * year at the start or end of the story.
+ *
+ * With `enabled` false the children render in place, unpinned. The wrapper
+ * stays either way, so toggling doesn't remount (and reload) the chart.
+ */
+function ScrollStory({ story, enabled = true, time, onTimeChange, children }) {
+  const sectionRef = useRef(null);
+  const pinRef = useRef(null);
+  // Report once more on leaving, so a fast scroll still ends on the first or last year
+  const wasPinnedRef = useRef(false);
+
+  useSectionScroll(enabled ? sectionRef : null, ({ top, height }) => {
+    const pin = pinRef.current;
+    if (!pin) return;
+    const pinHeight = pin.offsetHeight;
+    const pinned = top <= 0 && -top <= height - pinHeight;
+    if (!pinned && !wasPinnedRef.current) return;
+    wasPinnedRef.current = pinned;
+
+    onTimeChange(progressToYear(pinProgress(top, height, pinHeight), story.from, story.to));
+  });
+
+  const stepIndex = activeStepIndex(story.steps, time);
+
+  return (
+    <div
+      ref={sectionRef}
+      className={`flow-story${enabled ? '' : ' flow-story--off'}`}
+      style={enabled ? { height: `${story.screens * 100}vh` } : undefined}
+    >
+      <div ref={pinRef} className="flow-story__pin">
+        <div className="flow-story__stage">{children}</div>
+
+        {enabled && <div className="flow-story__steps" aria-live="polite">
+          {story.steps.map((step, i) => (
+            <div
+              key={step.year}
+              className="flow-story__step"
+              style={{ opacity: i === stepIndex ? 1 : 0 }}
+              aria-hidden={i !== stepIndex}
+            >
+              <h5>{step.title}</h5>
+              <p>{step.text}</p>
+            </div>
+          ))}
+        </div>}
+      </div>
+    </div>
+  );
+}
+
+export default ScrollStory;
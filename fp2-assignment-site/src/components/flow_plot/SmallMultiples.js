@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import * as d3 from 'd3';
+import { INVESTOR_SEGMENTS, STATISTICS, loadFlowData, indexRows, applyStatistic } from './flowData';
+import { deflateRows, latestCpiYear, loadCpi } from './inflation';
+import { resolveFlowConfig } from './flowConfig';
+import { useSiteState, useSiteStore } from '../store/siteStore';
+
+/**
+ * SmallMultiples
+ *
+ * One mini time-series panel per series in the sales file (non-investor,
+ * each investor segment the file has, total investor), side by side on a
+ * shared y-scale, so segments can be compared without crowding FlowChart.
+ *
+ * - The year and highlighted series are shared with FlowChart and the other
+ *   charts through the site store (siteStore.js): the crosshair sits at the
+ *   shared year, follows the pointer across every panel while hovering, and
+ *   a click moves every chart there. Hovering a panel highlights its series
+ *   everywhere; the highlighted series' panel is outlined here.
+ * - So are FlowChart's statistic and nominal / real dollars: the panels plot
+ *   the same values its bubbles show, deflated with the same CPI file and
+ *   base year (`config.realDollarsBaseYear`, as FlowChart's `config`).
+ * - "Indexed" rescales every series to INDEX_BASE_YEAR = 100.
+ * - Each panel is a button: Enter or Space highlights its series (or
+ *   clears the highlight), as hovering it does.
+ */
+
+const INDEX_BASE_YEAR = 2000;
+const PANEL_WIDTH = 220;
+const PANEL_HEIGHT = 130;
+const MARGIN = { top: 26, right: 10, bottom: 20, left: 44 };
+
+function SmallMultiples({
+  csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential_sales_clean_aggregated.csv`,
+  cpiUrl = `${process.env.PUBLIC_URL}/cpi_u_annual.csv`,
+  config: configOverrides
+}) {
+  const siteStore = useSiteStore();
+  const currentTime = useSiteState(state => state.year);
+  const selection = useSiteState(state => state.selection);
+  const statistic = useSiteState(state => state.statistic);
+  const dollars = useSiteState(state => state.dollars);
+  const [data, setData] = useState([]);
+  const [hasSegments, setHasSegments] = useState(false);
+  const [statistics, setStatistics] = useState(['mean']);
+  const [cpi, setCpi] = useState({});
+  const [scaleMode, setScaleMode] = useState('absolute'); // "absolute" or "indexed"
+  const [hoverYear, setHoverYear] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The same load as FlowChart's (loadFlowData shares it by URL)
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    loadFlowData(csvUrl).then((loaded) => {
+      // A newer file was asked for while this one loaded
+      if (cancelled) return;
+      setData(loaded.data);
+      setHasSegments(loaded.hasSegments);
+      setStatistics(loaded.statistics);
+    }).catch(error => {
+      if (!cancelled) setError(error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [csvUrl]);
+
+  // FlowChart reports a CPI file that won't load; without one the panels stay nominal
+  useEffect(() => {
+    let cancelled = false;
+    loadCpi(cpiUrl).then((loaded) => {
+      if (!cancelled) setCpi(loaded.cpi);
+    }).catch(() => {
+      if (!cancelled) setCpi({});
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [cpiUrl]);
+
+  // Invalid config is reported in place of the panels, like a file that won't load
+  let config = null;
+  let configError = null;
+  try {
+    config = resolveFlowConfig(configOverrides);
+  } catch (e) {
+    configError = e;
+  }
+
+  if (error || configError) {
+    return <p role="alert" className="flow-multiples__note">{(configError || error).message}</p>;
+  }
+  if (!data.length) return null;
+
+  const series = [
+    { key: 'noninvestor', label: 'Non-Investor', color: 'blue' },
+    ...(hasSegments ? INVESTOR_SEGMENTS : []),
+    { key: 'investor', label: 'All Investors', color: 'red' }
+  ];
+  const keys = series.map(s => s.key);
+
+  // FlowChart's statistic (the mean if this file lacks it) and dollars
+  const shownStatistic = statistics.includes(statistic) ? statistic : 'mean';
+  const statLabel = STATISTICS.find(s => s.key === shownStatistic).label;
+  const statData = applyStatistic(data, shownStatistic);
+  const baseYear = config.realDollarsBaseYear != null ? config.realDollarsBaseYear : latestCpiYear(cpi);
+  let realData = null;
+  if (dollars === 'real' && baseYear != null) {
+    try {
+      realData = deflateRows(statData, cpi, baseYear, keys);
+    } catch (error) {
+      // FlowChart explains why on its disabled toggle; stay nominal, as it does
+    }
+  }
+  const shownData = realData || statData;
+  const dollarsNote = realData ? ` in ${baseYear} dollars` : '';
+
+  // Skip the leading all-zero padding row, as the slider does
+  const firstWithProfit = shownData.find(d => keys.some(key => d[key] > 0)) || shownData[0];
+  const rows = (scaleMode === 'indexed' ? indexRows(shownData, keys, INDEX_BASE_YEAR) : shownData)
+    .filter(d => d.year >= firstWithProfit.year);
+
+  const x = d3.scaleLinear()
+    .domain(d3.extent(rows, d => d.year))
+    .range([MARGIN.left, PANEL_WIDTH - MARGIN.right]);
+
+  // One y-scale for every panel, so heights compare across them
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(rows, d => d3.max(keys, key => d[key])) || 1])
+    .nice()
+    .range([PANEL_HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  const formatValue = scaleMode === 'indexed' ? d3.format('.0f') : d3.format('$~s');
+  const [minYear, maxYear] = x.domain();
+  const cursorYear = hoverYear != null ? hoverYear : currentTime;
+  const cursorRow = cursorYear == null ? null : rows.reduce((best, d) =>
+    Math.abs(d.year - cursorYear) < Math.abs(best.year - cursorYear) ? d : best
+  );
+
+  function selectSeries(key, selected) {
+    if (selected) siteStore.setState({ selection: key });
+    else if (siteStore.getState().selection === key) siteStore.setState({ selection: null });
+  }
+
+  function handlePanelKeyDown(e, key) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    selectSeries(key, selection !== key);
+  }
+
+  // Pointer => year, through each panel's viewBox scaling
+  function yearAt(event) {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const year = x.invert(((event.clientX - rect.left) / rect.width) * PANEL_WIDTH);
+    return Math.min(maxYear, Math.max(minYear, year));
+  }
+
+  return (
+    <div className="flow-multiples">
+      <div className="flow-multiples__controls" role="group" aria-label="Small multiples scale">
+        {['absolute', 'indexed'].map(option => (
+          <button
+            key={option}
+            type="button"
+            aria-pressed={scaleMode === option}
+            onClick={() => setScaleMode(option)}
+          >
+            {option === 'absolute'
+              ? `${statLabel} profit (${realData ? `${baseYear} ` : ''}$)`
+              : `Indexed (${INDEX_BASE_YEAR} = 100)`}
+          </button>
+        ))}
+      </div>
+
+      <div className="flow-multiples__grid">
+        {series.map(s => {
+          const line = d3.line()
+            .defined(d => d[s.key] != null)
+            .x(d => x(d.year))
+            .y(d => y(d[s.key]));
+          const cursorValue = cursorRow ? cursorRow[s.key] : null;
+          const highlighted = selection === s.key;
+          const dimmed = selection != null && !highlighted && keys.includes(selection);
+          return (
+            <svg
+              key={s.key}
+              viewBox={`0 0 ${PANEL_WIDTH} ${PANEL_HEIGHT}`}
+              className={`flow-multiples__panel${highlighted ? ' flow-multiples__panel--selected' : ''}`}
+              onPointerEnter={() => selectSeries(s.key, true)}
+              onPointerMove={e => setHoverYear(yearAt(e))}
+              onPointerLeave={() => {
+                setHoverYear(null);
+                selectSeries(s.key, false);
+              }}
+              onClick={e => siteStore.setState({ year: yearAt(e) })}
+              onKeyDown={e => handlePanelKeyDown(e, s.key)}
+              role="button"
+              tabIndex={0}
+              aria-pressed={highlighted}
+              aria-label={`${s.label} ${statLabel.toLowerCase()} profit${scaleMode === 'indexed' ? ' index' : ''}${dollarsNote}, ${minYear}–${maxYear}`}
+            >
+              <text x={MARGIN.left} y={14} fontFamily="Helvetica Neue" fontWeight="bold" fontSize="13px" fill={s.color}>
+                {s.label}
+              </text>
+
+              {/* Shared y-axis ticks */}
+              {y.ticks(3).map(v => (
+                <g key={v}>
+                  <line x1={MARGIN.left} x2={PANEL_WIDTH - MARGIN.right} y1={y(v)} y2={y(v)} stroke="#eee" />
+                  <text x={MARGIN.left - 4} y={y(v)} textAnchor="end" dominantBaseline="middle" fontSize="10px" fill="#888">
+                    {formatValue(v)}
+                  </text>
+                </g>
+              ))}
+              {[minYear, maxYear].map(year => (
+                <text key={year} x={x(year)} y={PANEL_HEIGHT - 6} textAnchor="middle" fontSize="10px" fill="#888">
+                  {year}
+                </text>
+              ))}
+
+              <path d={line(rows)} fill="none" stroke={s.color} strokeWidth={highlighted ? 3 : 2} opacity={dimmed ? 0.35 : 1} />
+
+              {/* Crosshair, shared across panels */}
+              {cursorYear != null && (
+                <g pointerEvents="none">
+                  <line
+                    x1={x(cursorYear)}
+                    x2={x(cursorYear)}
+                    y1={MARGIN.top}
+                    y2={PANEL_HEIGHT - MARGIN.bottom}
+                    stroke="#333"
+                    strokeDasharray={hoverYear != null ? '3 2' : undefined}
+                  />
+                  {cursorValue != null && (
+                    <>
+                      <circle cx={x(cursorRow.year)} cy={y(cursorValue)} r={3} fill={s.color} />
+                      <text
+                        x={PANEL_WIDTH - MARGIN.right}
+                        y={14}
+                        textAnchor="end"
+                        fontSize="11px"
+                        fill="#333"
+                      >
+                        {cursorRow.year}: {formatValue(cursorValue)}
+                      </text>
+                    </>
+                  )}
+                </g>
+              )}
+            </svg>
+          );
+        })}
+      </div>
+
+      {!hasSegments && (
+        <p className="flow-multiples__note">
+          This data file has no investor-segment columns, so only the non-investor and total investor series are shown.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SmallMultiples;
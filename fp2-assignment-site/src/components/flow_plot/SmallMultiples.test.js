@@ -0,0 +1,92 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import SmallMultiples from './SmallMultiples';
+import { createSiteStore, SiteStoreProvider } from '../store/siteStore';
+import { loadFlowData } from './flowData';
+import { loadCpi } from './inflation';
+
+jest.mock('./flowData', () => ({
+  ...jest.requireActual('./flowData'),
+  loadFlowData: jest.fn()
+}));
+jest.mock('./inflation', () => ({
+  ...jest.requireActual('./inflation'),
+  loadCpi: jest.fn()
+}));
+
+const loaded = {
+  data: [
+    { year: 2000, investor: 200, noninvestor: 100, investor_median: 150, noninvestor_median: 80 },
+    { year: 2001, investor: 300, noninvestor: 120, investor_median: 250, noninvestor_median: 90 }
+  ],
+  hasSegments: false,
+  statistics: ['mean', 'median']
+};
+
+function renderPanels(store = createSiteStore(), csvUrl = 'a.csv') {
+  return render(
+    <SiteStoreProvider store={store}>
+      <SmallMultiples csvUrl={csvUrl} />
+    </SiteStoreProvider>
+  );
+}
+
+beforeEach(() => {
+  loadFlowData.mockReset();
+  loadCpi.mockResolvedValue({ cpi: { 2000: 100, 2001: 200 }, problems: [] });
+});
+
+test('Enter or Space on a panel highlights its series, and again clears it', async () => {
+  loadFlowData.mockResolvedValue(loaded);
+  const store = createSiteStore();
+  renderPanels(store);
+
+  const panel = await screen.findByRole('button', { name: /^All Investors/ });
+  fireEvent.keyDown(panel, { key: 'Enter' });
+  expect(store.getState().selection).toBe('investor');
+  expect(panel).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.keyDown(panel, { key: ' ' });
+  expect(store.getState().selection).toBeNull();
+});
+
+test('a file that finishes loading after a newer one was asked for is ignored', async () => {
+  let resolveOld;
+  loadFlowData
+    .mockReturnValueOnce(new Promise(resolve => { resolveOld = resolve; }))
+    .mockResolvedValueOnce(loaded);
+  const store = createSiteStore();
+  const { rerender } = renderPanels(store, 'old.csv');
+
+  rerender(
+    <SiteStoreProvider store={store}>
+      <SmallMultiples csvUrl="new.csv" />
+    </SiteStoreProvider>
+  );
+  await screen.findByRole('button', { name: /^All Investors/ });
+
+  await act(async () => resolveOld({ ...loaded, hasSegments: true, data: [] }));
+  expect(screen.getByRole('button', { name: /^All Investors/ })).toBeInTheDocument();
+});
+
+test('shows the statistic and dollars picked in FlowChart', async () => {
+  loadFlowData.mockResolvedValue(loaded);
+  const store = createSiteStore({ statistic: 'median', dollars: 'real' });
+  renderPanels(store);
+
+  // 2000's median of $150 is $300 in 2001 dollars
+  expect(await screen.findByRole('button', { name: 'All Investors median profit in 2001 dollars, 2000–2001' }))
+    .toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Median profit (2001 $)' })).toBeInTheDocument();
+  act(() => store.setState({ year: 2000 }));
+  expect(screen.getByText('2000: $300')).toBeInTheDocument();
+
+  act(() => store.setState({ statistic: 'mean', dollars: 'nominal' }));
+  expect(screen.getByRole('button', { name: 'Average profit ($)' })).toBeInTheDocument();
+});
+
+test('an invalid config is reported in place of the panels', async () => {
+  loadFlowData.mockResolvedValue(loaded);
+  render(<SmallMultiples csvUrl="a.csv" config={{ realDollarsBaseYear: 'latest' }} />);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('FlowChart config: realDollarsBaseYear must be a number');
+});
@@ -0,0 +1,159 @@
+import React, { useRef } from 'react';
+import * as d3 from 'd3';
+
+/**
+ * TrendPanel
+ *
+ * Small line chart under the FlowChart bubbles: the monthly Boston HPI (left
+ * axis) next to average investor / non-investor profit (right axis), with a
+ * cursor at `currentTime`. Clicking or dragging on it scrubs the chart, the
+ * same as the slider.
+ *
+ * hpi:     [{ year, value }] sorted by year
+ * profits: the FlowChart data rows ({ year, investor, noninvestor, ... })
+ * series:  [{ key, label, color }] profit lines to draw
+ * highlight: key of the series to bring forward (the site-wide selection), or null
+ */
+
+const HEIGHT = 150;
+const MARGIN = { top: 24, right: 58, bottom: 22, left: 46 };
+const HPI_COLOR = '#1A6692';
+
+function TrendPanel({ width, scale = 1, hpi, profits, series, highlight, currentTime, minYear, maxYear, onTimeChange }) {
+  const svgRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const x = d3.scaleLinear()
+    .domain([minYear, maxYear])
+    .range([MARGIN.left, width - MARGIN.right])
+    .clamp(true);
+
+  const hpiInRange = hpi.filter(d => d.year >= minYear && d.year <= maxYear);
+  const profitsInRange = profits.filter(d => d.year >= Math.floor(minYear) && d.year <= maxYear);
+
+  const yHpi = d3.scaleLinear()
+    .domain(hpiInRange.length ? d3.extent(hpiInRange, d => d.value) : [0, 1])
+    .nice()
+    .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  const yProfit = d3.scaleLinear()
+    .domain([0, d3.max(profitsInRange, d => d3.max(series, s => d[s.key])) || 1])
+    .nice()
+    .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  const hpiLine = d3.line().x(d => x(d.year)).y(d => yHpi(d.value));
+  const profitLine = key => d3.line().x(d => x(d.year)).y(d => yProfit(d[key]))(profitsInRange);
+
+  // Pointer position (CSS pixels) => slider time, through the viewBox scaling
+  function timeAt(event) {
+    const rect = svgRef.current.getBoundingClientRect();
+    return x.invert(((event.clientX - rect.left) / rect.width) * width);
+  }
+
+  function handlePointerDown(event) {
+    draggingRef.current = true;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    onTimeChange(timeAt(event));
+  }
+
+  function handlePointerMove(event) {
+    if (draggingRef.current) onTimeChange(timeAt(event));
+  }
+
+  function handlePointerUp(event) {
+    draggingRef.current = false;
+    event.currentTarget.releasePointerCapture(event.pointerId);
+  }
+
+  // Legend entries laid out left to right, spaced by (roughly) their text width
+  let legendX = 0;
+  const legend = [{ key: 'hpi', label: 'Home Price Index', color: HPI_COLOR }, ...series].map(item => {
+    const placed = { ...item, x: legendX };
+    legendX += item.label.length * 6 + 16;
+    return placed;
+  });
+
+  const cursorX = x(currentTime);
+  const money = d3.format('$~s');
+
+  return (
+    <svg
+      ref={svgRef}
+      className="flow-trend"
+      width={width * scale}
+      height={HEIGHT * scale}
+      viewBox={`0 0 ${width} ${HEIGHT}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      role="img"
+      aria-label="Boston Home Price Index and average profit per sale over time; click or drag to change the year"
+    >
+      {/* Axes */}
+      <g fontFamily="Helvetica Neue" fontSize="11px" fill="#666">
+        {x.ticks(Math.min(12, Math.floor(maxYear - minYear))).map(year => (
+          <text key={year} x={x(year)} y={HEIGHT - 6} textAnchor="middle">{year}</text>
+        ))}
+        {yHpi.ticks(4).map(v => (
+          <text key={`hpi-${v}`} x={MARGIN.left - 6} y={yHpi(v)} textAnchor="end" dominantBaseline="middle" fill={HPI_COLOR}>
+            {v}
+          </text>
+        ))}
+        {yProfit.ticks(4).map(v => (
+          <text key={`profit-${v}`} x={width - MARGIN.right + 6} y={yProfit(v)} textAnchor="start" dominantBaseline="middle">
+            {money(v)}
+          </text>
+        ))}
+      </g>
+      <line
+        x1={MARGIN.left}
+        x2={width - MARGIN.right}
+        y1={HEIGHT - MARGIN.bottom}
+        y2={HEIGHT - MARGIN.bottom}
+        stroke="#ccc"
+      />
+
+      {/* Series */}
+      {hpiInRange.length > 1 && (
+        <path d={hpiLine(hpiInRange)} fill="none" stroke={HPI_COLOR} strokeWidth={2} />
+      )}
+      {series.map(s => {
+        const highlighted = highlight === s.key;
+        const dimmed = highlight != null && !highlighted && series.some(other => other.key === highlight);
+        return (
+          <path
+            key={s.key}
+            d={profitLine(s.key)}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={highlighted ? 3 : 1.5}
+            strokeDasharray={highlighted ? undefined : '4 3'}
+            opacity={dimmed ? 0.3 : 1}
+          />
+        );
+      })}
+
+      {/* Legend, in a row above the plot */}
+      <g fontFamily="Helvetica Neue" fontSize="11px" fontWeight="bold" transform={`translate(${MARGIN.left}, 10)`}>
+        {legend.map(item => (
+          <text key={item.key} x={item.x} y={0} fill={item.color}>{item.label}</text>
+        ))}
+      </g>
+
+      {/* Cursor at the current time */}
+      {currentTime != null && (
+        <line
+          x1={cursorX}
+          x2={cursorX}
+          y1={MARGIN.top - 6}
+          y2={HEIGHT - MARGIN.bottom}
+          stroke="#333"
+          strokeWidth={1.5}
+        />
+      )}
+    </svg>
+  );
+}
+
+export default TrendPanel;
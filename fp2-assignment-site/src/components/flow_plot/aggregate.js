@@ -0,0 +1,179 @@
+/**
+ * Sales aggregation
+ *
+ * The browser-side version of data/aggregate_price_diff.py: row-level sales
+ * (year, price_diff, investor_type_sale, usecode) in, one row per year of
+ * investor / non-investor profit out, in the same columns as
+ * mapc_region_residential_sales_clean_aggregated.csv.
+ *
+ * With the defaults (mean, investor vs. non-investor) the output matches the
+ * Python script to the last digit, including pandas' compensated summation
+ * and its CSV number format; __fixtures__/aggregate holds a sales file and
+ * the script's output for it. Runs in a Web Worker via aggregateClient.js.
+ */
+import { INVESTOR_SEGMENTS, distributionColumn } from './flowData';
+
+// investor_type_sale values the Python script counts as investor sales
+export const INVESTOR_TYPES = INVESTOR_SEGMENTS.map(s => s.saleType);
+
+// Sum the way pandas' groupby does (Kahan compensation), so means match it exactly
+function kahanSum(values) {
+  let sum = 0;
+  let compensation = 0;
+  values.forEach(value => {
+    const y = value - compensation;
+    const t = sum + y;
+    compensation = t - sum - y;
+    if (Number.isNaN(compensation)) compensation = 0;
+    sum = t;
+  });
+  return sum;
+}
+
+// Share of sales cut from each end for the trimmed mean
+const TRIM_PROPORTION = 0.1;
+
+const ascending = values => [...values].sort((a, b) => a - b);
+
+// Quantile with linear interpolation between order statistics (pandas' default)
+export function quantile(values, p) {
+  const sorted = ascending(values);
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export const STATISTICS = {
+  mean: values => kahanSum(values) / values.length,
+  median: values => {
+    const sorted = ascending(values);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  // Mean of what's left after cutting TRIM_PROPORTION of sales off each end
+  trimmed: values => {
+    const cut = Math.floor(values.length * TRIM_PROPORTION);
+    const kept = ascending(values).slice(cut, values.length - cut);
+    return kahanSum(kept) / kept.length;
+  },
+  sum: kahanSum
+};
+
+// Extra columns per series with the `distribution` option
+const DISTRIBUTION_STATS = {
+  median: STATISTICS.median,
+  trimmed: STATISTICS.trimmed,
+  q1: values => quantile(values, 0.25),
+  q3: values => quantile(values, 0.75),
+  count: values => values.length
+};
+
+/**
+ * Aggregate sales records (objects keyed by column name, as from d3.csvParse).
+ *
+ * options:
+ *   statistic      'mean' (the Python script), 'median', 'trimmed' or 'sum'
+ *   grouping       'total' = investor vs. non-investor (the Python script);
+ *                  'segments' also adds a column per investor type, which
+ *                  turns on FlowChart's segments mode
+ *   investorTypes  investor_type_sale values that count as investor sales
+ *   maxUsecode     drop sales with a higher usecode (the cleaning step uses 200)
+ *   distribution   also add each series' median, trimmed mean, quartiles and
+ *                  sales count (column names in flowData.js), like the
+ *                  Python script's --distribution
+ *
+ * Returns { columns, rows, skipped }: rows keyed by column, with null where a
+ * year has no sales in a group (pandas' NaN), and `skipped` the number of
+ * records without a numeric year and price_diff.
+ */
+export function aggregateSales(records, {
+  statistic = 'mean',
+  grouping = 'total',
+  investorTypes = INVESTOR_TYPES,
+  maxUsecode = null,
+  distribution = false
+} = {}) {
+  const stat = STATISTICS[statistic];
+  if (!stat) throw new Error(`Aggregate: unknown statistic "${statistic}".`);
+  if (grouping !== 'total' && grouping !== 'segments') {
+    throw new Error(`Aggregate: unknown grouping "${grouping}".`);
+  }
+
+  // year => { noninvestor: [], investor: [], small: [], ... }
+  const groups = new Map();
+  let skipped = 0;
+  records.forEach(record => {
+    const year = record.year === '' ? NaN : +record.year;
+    const diff = record.price_diff === '' ? NaN : +record.price_diff;
+    if (!Number.isFinite(year) || !Number.isFinite(diff)) {
+      skipped++;
+      return;
+    }
+    if (maxUsecode != null && +record.usecode > maxUsecode) return;
+
+    if (!groups.has(year)) groups.set(year, {});
+    const group = groups.get(year);
+    const add = (key, value) => (group[key] = group[key] || []).push(value);
+
+    const type = record.investor_type_sale;
+    if (investorTypes.includes(type)) {
+      add('investor', diff);
+      const segment = INVESTOR_SEGMENTS.find(s => s.saleType === type);
+      if (segment) add(segment.key, diff);
+    } else {
+      add('noninvestor', diff);
+    }
+  });
+
+  const summarize = (values, fn = stat) => (values && values.length ? fn(values) : null);
+  const segmentColumns = grouping === 'segments' ? INVESTOR_SEGMENTS : [];
+
+  // [group key, column, statistic] for each distribution column
+  const distributionColumns = !distribution ? [] : [
+    { key: 'noninvestor', column: 'noninvestor profit' },
+    { key: 'investor', column: 'total investor profit' },
+    ...segmentColumns.map(s => ({ key: s.key, column: s.column }))
+  ].flatMap(series => Object.entries(DISTRIBUTION_STATS).map(([field, fn]) =>
+    [series.key, distributionColumn(series.column, field), fn]
+  ));
+
+  const rows = [...groups.keys()].sort((a, b) => a - b).map(year => {
+    const group = groups.get(year);
+    const noninvestor = summarize(group.noninvestor);
+    const investor = summarize(group.investor);
+    const row = {
+      year,
+      'noninvestor profit': noninvestor,
+      'total investor profit': investor,
+      'mean profit diff': noninvestor != null && investor != null ? investor - noninvestor : null
+    };
+    segmentColumns.forEach(s => {
+      row[s.column] = summarize(group[s.key]);
+    });
+    distributionColumns.forEach(([key, column, fn]) => {
+      row[column] = summarize(group[key], fn);
+    });
+    return row;
+  });
+
+  const columns = ['year', 'noninvestor profit', 'total investor profit', 'mean profit diff',
+    ...segmentColumns.map(s => s.column), ...distributionColumns.map(([, column]) => column)];
+
+  return { columns, rows, skipped };
+}
+
+// A number the way pandas' to_csv writes a float64 column (NaN => empty cell)
+export function formatPandasFloat(value) {
+  if (value == null || Number.isNaN(value)) return '';
+  if (Number.isInteger(value) && Math.abs(value) < 1e16) return value.toFixed(1);
+  return String(value);
+}
+
+// Aggregate => CSV text, byte-for-byte what the Python script writes
+export function toAggregateCsv({ columns, rows }) {
+  const lines = rows.map(row => columns.map(column =>
+    column === 'year' ? String(row.year) : formatPandasFloat(row[column])
+  ).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { csvParse } from 'd3';
+import { aggregateSales, formatPandasFloat, STATISTICS, toAggregateCsv } from './aggregate';
+
+// A sales file and what data/aggregate_price_diff.py writes for it:
+//   python data/aggregate_price_diff.py --data_dir <fixture dir> --output_dir <fixture dir>
+// (the _distribution file is the same run with --distribution, renamed)
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '__fixtures__/aggregate', name), 'utf8');
+}
+const sales = csvParse(fixture('mapc_region_residential_sales_clean.csv'));
+
+test('reproduces the Python aggregate exactly', () => {
+  expect(toAggregateCsv(aggregateSales(sales))).toBe(fixture('mapc_region_residential_sales_clean_aggregated.csv'));
+});
+
+test('matches the Python distribution columns', () => {
+  const expected = csvParse(fixture('mapc_region_residential_sales_clean_aggregated_distribution.csv'));
+  const { columns, rows } = aggregateSales(sales, { distribution: true });
+
+  // Quantile interpolation can differ from numpy's in the last bits
+  const round = value => (value == null ? null : Math.round(value * 1e6) / 1e6);
+  expect(columns).toEqual(expected.columns);
+  expect(rows.map(row => columns.map(column => round(row[column]))))
+    .toEqual(expected.map(row => columns.map(column => (row[column] === '' ? null : round(+row[column])))));
+});
+
+test('sums with compensation, as pandas does', () => {
+  // pandas: df.groupby(...).sum() gives 1.0 and 123456789.89999999 here
+  const tenths = Array(10).fill(0.1);
+  const mixed = [123456789.3, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1];
+
+  expect(STATISTICS.sum(tenths)).toBe(1);
+  expect(tenths.reduce((a, b) => a + b, 0)).toBe(0.9999999999999999);
+  expect(STATISTICS.sum(mixed)).toBe(123456789.89999999);
+});
+
+test('supports median, trimmed mean and sum statistics', () => {
+  const records = [
+    { year: '2000', price_diff: '10', investor_type_sale: 'Small' },
+    { year: '2000', price_diff: '30', investor_type_sale: 'Large' },
+    { year: '2000', price_diff: '1000', investor_type_sale: 'Large' },
+    { year: '2000', price_diff: '5', investor_type_sale: 'Non-investor' },
+    { year: '2000', price_diff: '7', investor_type_sale: 'Non-investor' }
+  ];
+
+  expect(aggregateSales(records, { statistic: 'median' }).rows[0]).toEqual({
+    year: 2000, 'noninvestor profit': 6, 'total investor profit': 30, 'mean profit diff': 24
+  });
+  expect(aggregateSales(records, { statistic: 'sum' }).rows[0]['total investor profit']).toBe(1040);
+  // Ten sales: the lowest and highest are cut before averaging
+  const trimmed = [1, 2, 3, 4, 5, 6, 7, 8, 9, 1000];
+  expect(STATISTICS.trimmed(trimmed)).toBe(5.5);
+  expect(() => aggregateSales(records, { statistic: 'mode' })).toThrow(/unknown statistic "mode"/);
+});
+
+test('adds per-segment columns and honours the investor types and usecode filter', () => {
+  const records = [
+    { year: '2001', price_diff: '100', investor_type_sale: 'Small', usecode: '101' },
+    { year: '2001', price_diff: '300', investor_type_sale: 'Institutional', usecode: '101' },
+    { year: '2001', price_diff: '50', investor_type_sale: 'Non-investor', usecode: '101' },
+    { year: '2001', price_diff: '9999', investor_type_sale: 'Large', usecode: '340' },
+    { year: '', price_diff: '1', investor_type_sale: 'Small', usecode: '101' }
+  ];
+  const { columns, rows, skipped } = aggregateSales(records, { grouping: 'segments', maxUsecode: 200 });
+
+  expect(columns).toContain('institutional investor profit');
+  expect(rows[0]).toMatchObject({
+    'total investor profit': 200,
+    'small investor profit': 100,
+    'large investor profit': null,
+    'institutional investor profit': 300
+  });
+  expect(skipped).toBe(1);
+
+  const onlyInstitutional = aggregateSales(records, { investorTypes: ['Institutional'], maxUsecode: 200 }).rows[0];
+  expect(onlyInstitutional['noninvestor profit']).toBe(75);
+});
+
+test('formats floats like pandas', () => {
+  expect(formatPandasFloat(1000)).toBe('1000.0');
+  expect(formatPandasFloat(-5862.71)).toBe('-5862.71');
+  expect(formatPandasFloat(null)).toBe('');
+});
@@ -0,0 +1,15 @@
+import { csvParse } from 'd3';
+import { aggregateSales } from './aggregate';
+
+/* global globalThis */
+// The worker's global scope (`self`, which the lint rules keep for window code)
+const ctx = globalThis;
+
+// { id, text, options } => { id, result } or { id, error }
+ctx.onmessage = ({ data: { id, text, options } }) => {
+  try {
+    ctx.postMessage({ id, result: aggregateSales(csvParse(text), options) });
+  } catch (error) {
+    ctx.postMessage({ id, error: error.message });
+  }
+};
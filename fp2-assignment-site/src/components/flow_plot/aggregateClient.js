@@ -0,0 +1,86 @@
+import * as d3 from 'd3';
+import { aggregateSales } from './aggregate';
+import { SALES_SCHEMA, toFlowData } from './flowData';
+import { sourceName, validateTable } from './dataLoader';
+import { createAggregateWorker } from './createAggregateWorker';
+
+/**
+ * Runs aggregate.js off the main thread. Row-level sales files run to tens
+ * of thousands of rows, which would stall the page while the chart animates.
+ * Falls back to the main thread where there are no workers (tests, old
+ * browsers), and for good if the worker fails to load or crashes: requests
+ * it was working on are re-run here rather than left waiting forever.
+ */
+
+let worker = null;
+let workerFailed = false;
+let nextId = 0;
+const pending = new Map(); // id => { text, options, resolve, reject }
+
+function aggregateHere(text, options) {
+  return Promise.resolve().then(() => aggregateSales(d3.csvParse(text), options));
+}
+
+// The worker broke: drop it and finish everything it had on the main thread
+function abandonWorker() {
+  workerFailed = true;
+  if (worker) worker.terminate();
+  worker = null;
+  const requests = [...pending.values()];
+  pending.clear();
+  requests.forEach(({ text, options, resolve, reject }) => {
+    aggregateHere(text, options).then(resolve, reject);
+  });
+}
+
+function getWorker() {
+  if (!worker && !workerFailed && typeof Worker !== 'undefined') {
+    try {
+      worker = createAggregateWorker();
+    } catch (error) {
+      workerFailed = true;
+      return null;
+    }
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    worker.onerror = abandonWorker;
+    worker.onmessageerror = abandonWorker;
+  }
+  return worker;
+}
+
+// CSV text => aggregateSales() result, computed in the worker
+export function aggregateInWorker(text, options) {
+  const w = getWorker();
+  if (!w) return aggregateHere(text, options);
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { text, options, resolve, reject });
+    w.postMessage({ id, text, options });
+  });
+}
+
+/**
+ * Fetch a row-level sales file, aggregate it and validate the result like a
+ * pre-aggregated file => { data, hasSegments, ..., problems }, as loadFlowData.
+ */
+export function loadAggregatedFlowData(url, options) {
+  const source = sourceName(url);
+  return d3.text(url)
+    .then(
+      text => aggregateInWorker(text, options),
+      error => { throw new Error(`${source}: could not be loaded (${error.message}).`); }
+    )
+    .then(({ columns, rows, skipped }) => {
+      const table = validateTable(rows, SALES_SCHEMA, source, columns);
+      const problems = skipped
+        ? [`${source}: ${skipped} sales without a numeric year or price_diff were left out`, ...table.problems]
+        : table.problems;
+      return { ...toFlowData(table), problems };
+    });
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { csvParse } from 'd3';
+import { aggregateSales } from './aggregate';
+
+const text = fs.readFileSync(path.join(__dirname, '__fixtures__/aggregate', 'mapc_region_residential_sales_clean.csv'), 'utf8');
+
+// The real one needs `import.meta`, which Jest can't load
+jest.mock('./createAggregateWorker', () => ({
+  createAggregateWorker: () => new global.Worker()
+}));
+
+// A stand-in Worker; `respond` decides what happens to each posted message
+let workers;
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+    workers.push(this);
+  }
+  postMessage(message) {
+    this.posted.push(message);
+  }
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+// A fresh client each test, since it keeps its worker at module level
+function loadClient() {
+  let client;
+  jest.isolateModules(() => {
+    client = require('./aggregateClient');
+  });
+  return client;
+}
+
+beforeEach(() => {
+  workers = [];
+  global.Worker = FakeWorker;
+});
+
+afterEach(() => {
+  delete global.Worker;
+});
+
+test('resolves with what the worker sends back', () => {
+  const { aggregateInWorker } = loadClient();
+  const result = aggregateInWorker('year,price_diff\n', { grouping: 'segments' });
+
+  const [worker] = workers;
+  const { id, options } = worker.posted[0];
+  expect(options).toEqual({ grouping: 'segments' });
+  worker.onmessage({ data: { id, result: { rows: [], columns: [], skipped: 0 } } });
+
+  return expect(result).resolves.toEqual({ rows: [], columns: [], skipped: 0 });
+});
+
+test('rejects when the worker reports an aggregation error', () => {
+  const { aggregateInWorker } = loadClient();
+  const result = aggregateInWorker(text, {});
+
+  const [worker] = workers;
+  worker.onmessage({ data: { id: worker.posted[0].id, error: 'Aggregate: no sales rows' } });
+
+  return expect(result).rejects.toThrow('Aggregate: no sales rows');
+});
+
+test('finishes on the main thread when the worker fails', () => {
+  const { aggregateInWorker } = loadClient();
+  const first = aggregateInWorker(text, {});
+  const second = aggregateInWorker(text, { distribution: true });
+
+  const [worker] = workers;
+  worker.onerror(new Event('error'));
+  expect(worker.terminated).toBe(true);
+
+  // Later requests skip the broken worker
+  const third = aggregateInWorker(text, {});
+  expect(workers).toHaveLength(1);
+
+  const sales = csvParse(text);
+  return Promise.all([first, second, third]).then(([a, b, c]) => {
+    expect(a).toEqual(aggregateSales(sales));
+    expect(b).toEqual(aggregateSales(sales, { distribution: true }));
+    expect(c).toEqual(aggregateSales(sales));
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Timeline annotations
+ *
+ * Events (recessions, policy changes...) FlowChart marks on its slider and
+ * calls out while the slider is inside them. They live in a data file under
+ * public/ (JSON array or CSV) with the fields:
+ *
+ *   start  decimal year (2007.92) or date ("2007-12", "2007-12-01")
+ *   end    same; optional, defaults to start
+ *   title  short label
+ *   text   a sentence or two of context; optional
+ */
+
+// "2007-12" / "2007-12-01" / 2007.92 / "2007.92" => decimal year
+export function toDecimalYear(value) {
+  if (typeof value === 'number') return value;
+  const str = String(value == null ? '' : value).trim();
+  const date = str.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (date) {
+    const [, year, month, day = 1] = date;
+    return +year + (+month - 1) / 12 + (+day - 1) / 365;
+  }
+  return str === '' ? NaN : +str;
+}
+
+/**
+ * Validate raw rows (from d3.json or d3.csv) into
+ * [{ start, end, title, text }] sorted by start. Throws an Error naming the
+ * first bad row, so a typo in the file is reported rather than silently dropped.
+ */
+export function parseAnnotations(rows) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Annotations: expected a list of events.');
+  }
+
+  return rows.map((row, i) => {
+    const start = toDecimalYear(row.start);
+    const end = row.end == null || row.end === '' ? start : toDecimalYear(row.end);
+    const title = (row.title || '').trim();
+
+    if (!Number.isFinite(start)) throw new Error(`Annotations: event ${i + 1} has no valid start.`);
+    if (!Number.isFinite(end) || end < start) throw new Error(`Annotations: event ${i + 1} ends before it starts.`);
+    if (!title) throw new Error(`Annotations: event ${i + 1} has no title.`);
+
+    return { start, end, title, text: (row.text || '').trim() };
+  }).sort((a, b) => a.start - b.start);
+}
+
+// Events whose window contains t
+export function annotationsAt(annotations, t) {
+  return annotations.filter(a => t >= a.start && t <= a.end);
+}
+
+// First event that starts after `from` and no later than `to` (playback moving forward)
+export function annotationStartingBetween(annotations, from, to) {
+  return annotations.find(a => a.start > from && a.start <= to) || null;
+}
+
+// Greedy word wrap for SVG <text>, which doesn't wrap on its own
+export function wrapWords(text, maxChars) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
@@ -0,0 +1,44 @@
+import { annotationsAt, annotationStartingBetween, parseAnnotations, toDecimalYear, wrapWords } from './annotations';
+
+test('reads decimal years and YYYY-MM dates', () => {
+  expect(toDecimalYear(2008.5)).toBe(2008.5);
+  expect(toDecimalYear('2008.5')).toBe(2008.5);
+  expect(toDecimalYear('2008-07')).toBe(2008.5);
+  expect(toDecimalYear('')).toBeNaN();
+});
+
+test('parses and sorts events, defaulting end to start', () => {
+  const events = parseAnnotations([
+    { start: '2020-03', end: '2020-12', title: 'COVID', text: 'Rates fall. ' },
+    { start: '2008', title: ' Crash ' }
+  ]);
+
+  expect(events.map(e => e.title)).toEqual(['Crash', 'COVID']);
+  expect(events[0]).toEqual({ start: 2008, end: 2008, title: 'Crash', text: '' });
+  expect(events[1].text).toBe('Rates fall.');
+});
+
+test.each([
+  [{ end: 2009, title: 'x' }, /event 1 has no valid start/],
+  [{ start: 2009, end: 2008, title: 'x' }, /event 1 ends before it starts/],
+  [{ start: 2009 }, /event 1 has no title/]
+])('rejects bad events', (row, message) => {
+  expect(() => parseAnnotations([row])).toThrow(message);
+});
+
+test('finds events at a time and events playback runs into', () => {
+  const events = parseAnnotations([
+    { start: 2001.2, end: 2001.9, title: 'A' },
+    { start: 2008, end: 2009.5, title: 'B' }
+  ]);
+
+  expect(annotationsAt(events, 2008.7).map(e => e.title)).toEqual(['B']);
+  expect(annotationsAt(events, 2005)).toEqual([]);
+  expect(annotationStartingBetween(events, 2007.99, 2008).title).toBe('B');
+  // Resuming from the event's own start doesn't stop there again
+  expect(annotationStartingBetween(events, 2008, 2008.01)).toBeNull();
+});
+
+test('wraps words to a line length', () => {
+  expect(wrapWords('the quick brown fox jumps', 10)).toEqual(['the quick', 'brown fox', 'jumps']);
+});
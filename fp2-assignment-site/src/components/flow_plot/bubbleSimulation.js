@@ -0,0 +1,123 @@
+import * as d3 from 'd3';
+import { reconcileBubbles } from './reconcile';
+
+/**
+ * Bubble physics
+ *
+ * The force simulation that carries FlowChart's bubbles from the house to
+ * their clusters, shared by the live chart and by exports. The live chart
+ * lets d3's timer drive it; createFrameSimulation steps it by hand, once per
+ * video frame, so an exported animation is the same every time it's made.
+ */
+
+// Ticks d3's timer runs per second on screen (one per animation frame)
+export const TICKS_PER_SECOND = 60;
+
+/**
+ * A d3 force simulation pulling each node towards (clusterX(d), clusterY(d)),
+ * with collision so bubbles pile up instead of overlapping. It starts
+ * running; call .stop() to step it manually.
+ */
+export function createBubbleSimulation(clusterX, clusterY, collisionRadius) {
+  return d3.forceSimulation()
+    // Use moderate .strength(0.05) for X & Y like "original"
+    .force('x', d3.forceX(clusterX).strength(0.04))
+    .force('y', d3.forceY(clusterY).strength(0.04))
+    .force('collision', d3.forceCollide(collisionRadius))
+    // Increase damping to better match original comment about 0.2-0.3 range
+    .velocityDecay(0.3)
+    .alphaDecay(0.02)
+    .alphaMin(0.001);
+}
+
+/**
+ * Hand the simulation the bubbles visible at `t` (new ones start at `spawn`)
+ * and reheat it the way the live chart does: fully when bubbles come or go,
+ * gently when it has nearly settled.
+ */
+export function updateSimulationNodes(sim, bubbles, isVisible, spawn) {
+  const prevNodesCount = sim.nodes().length;
+  const visible = bubbles.filter(isVisible);
+  visible.forEach(b => {
+    if (b.x == null || b.y == null) {
+      b.x = spawn.x;
+      b.y = spawn.y;
+    }
+  });
+  sim.nodes(visible);
+  if (prevNodesCount !== visible.length) {
+    sim.alpha(0.8);
+  } else if (sim.alpha() < 0.1) {
+    sim.alpha(0.1);
+  }
+  return visible;
+}
+
+/**
+ * Off-screen bubble positions for an animation from `from` to `to`.
+ *
+ * options:
+ *   from, to         Years to start and end at
+ *   fps              Frames per second of the output
+ *   yearsPerSecond   Playback speed (the live chart: animationSpeed * 60)
+ *   series           Scheduler keys shown (the current mode's clusters)
+ *   clusterAt        key => { x, y } of that series' cluster
+ *   spawn, recycleAt, collisionRadius   as in the live chart
+ *   preRollSeconds   Simulated time at `from` before the first frame, so it
+ *                    opens on settled clusters rather than a burst at the house
+ *
+ * Returns { times, next() }: `times` holds every frame's year, and each
+ * next() call advances one frame and returns { t, bubbles: [{ x, y, opacity }] },
+ * or null after the last one.
+ */
+export function createFrameSimulation(scheduler, {
+  from,
+  to,
+  fps,
+  yearsPerSecond,
+  series,
+  clusterAt,
+  spawn,
+  recycleAt = spawn,
+  collisionRadius,
+  preRollSeconds = 2
+}) {
+  if (!(to > from)) throw new Error(`Export: the animation must end after it starts (${from}-${to}).`);
+  if (!(fps > 0) || !(yearsPerSecond > 0)) throw new Error('Export: fps and speed must be positive.');
+
+  const yearsPerFrame = yearsPerSecond / fps;
+  const frameCount = Math.floor((to - from) / yearsPerFrame + 1e-9) + 1;
+  const times = Array.from({ length: frameCount }, (_, i) => Math.min(to, from + i * yearsPerFrame));
+  if (times[times.length - 1] < to) times.push(to);
+
+  const target = d => clusterAt(d.type) || spawn;
+  const sim = createBubbleSimulation(d => target(d).x, d => target(d).y, collisionRadius).stop();
+
+  // Ids only need to be unique within the export, and a counter keeps runs identical
+  let nextId = 0;
+  const createId = () => `export-${nextId++}`;
+  let bubbles = [];
+
+  function advance(t, ticks) {
+    bubbles = reconcileBubbles(bubbles, scheduler.aliveAt(t, series), t, { spawn, recycleAt, createId });
+    const visible = updateSimulationNodes(sim, bubbles, b => scheduler.opacity(b, t) > 0, spawn);
+    for (let i = 0; i < ticks && sim.alpha() >= sim.alphaMin(); i++) sim.tick();
+    return visible;
+  }
+
+  advance(from, Math.round(preRollSeconds * TICKS_PER_SECOND));
+
+  let frame = 0;
+  return {
+    times,
+    next() {
+      if (frame >= times.length) return null;
+      const t = times[frame];
+      // Spread the timer's ticks over the frames, e.g. 2 or 3 a frame at 24 fps
+      const ticks = Math.floor((frame + 1) * TICKS_PER_SECOND / fps) - Math.floor(frame * TICKS_PER_SECOND / fps);
+      frame++;
+      const visible = advance(t, ticks);
+      return { t, bubbles: visible.map(b => ({ x: b.x, y: b.y, opacity: scheduler.opacity(b, t) })) };
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { createScheduler } from './scheduler';
+import { createFrameSimulation } from './bubbleSimulation';
+
+const scheduler = createScheduler([
+  { year: 2000, investor: 50000, noninvestor: 20000 },
+  { year: 2001, investor: 80000, noninvestor: 30000 },
+  { year: 2002, investor: 60000, noninvestor: 40000 }
+], { keys: ['investor', 'noninvestor'], bubbleValue: 5000, lifeSpan: 1, fadePortion: 0.05 });
+
+const options = {
+  from: 2000.5,
+  to: 2001.5,
+  fps: 12,
+  yearsPerSecond: 0.6,
+  series: ['investor', 'noninvestor'],
+  clusterAt: key => (key === 'investor' ? { x: 630, y: 510 } : { x: 630, y: 190 }),
+  spawn: { x: 180, y: 350 },
+  collisionRadius: 9,
+  preRollSeconds: 0.5
+};
+
+function allFrames() {
+  const frames = createFrameSimulation(scheduler, options);
+  const out = [];
+  for (let frame = frames.next(); frame; frame = frames.next()) out.push(frame);
+  return out;
+}
+
+test('covers the range at the frame rate, ending on the last year', () => {
+  const { times } = createFrameSimulation(scheduler, options);
+
+  expect(times).toHaveLength(21);
+  expect(times[0]).toBe(2000.5);
+  expect(times[1]).toBeCloseTo(2000.55);
+  expect(times[times.length - 1]).toBe(2001.5);
+});
+
+test('shows the scheduled bubbles, and is the same on every run', () => {
+  const frames = allFrames();
+  const visible = frames[10].bubbles.filter(b => b.opacity > 0).length;
+
+  expect(visible).toBe(scheduler.aliveAt(frames[10].t).filter(b => b.opacity > 0).length);
+  expect(allFrames()).toEqual(frames);
+});
+
+test('rejects an empty range', () => {
+  expect(() => createFrameSimulation(scheduler, { ...options, to: 2000 })).toThrow(/must end after it starts/);
+});
@@ -0,0 +1,54 @@
+/**
+ * Canvas renderer for FlowChart's money bubbles
+ *
+ * Draws the same green "$" circles the SVG renderer does, straight onto a
+ * <canvas>, so thousands of bubbles don't mean thousands of DOM nodes.
+ */
+
+/**
+ * Size `canvas` to (width x height) * scale CSS pixels at the screen's pixel ratio.
+ * Returns the 2D context, transformed so callers can draw in width x height
+ * design coordinates.
+ */
+export function setupCanvas(canvas, width, height, scale = 1) {
+  const ratio = (window.devicePixelRatio || 1) * scale;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+}
+
+/**
+ * Clear the canvas and draw every bubble with a positive opacity.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<Object>} bubbles   Bubbles with x, y
+ * @param {Object} options          { width, height, scale, radius, color, fontSize, opacity: bubble => number }
+ */
+export function drawBubbles(canvas, bubbles, { width, height, scale = 1, radius, color, fontSize, opacity }) {
+  const ctx = setupCanvas(canvas, width, height, scale);
+  ctx.clearRect(0, 0, width, height);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `bold ${fontSize} sans-serif`;
+
+  bubbles.forEach(b => {
+    const alpha = opacity(b);
+    if (alpha <= 0 || b.x == null || b.y == null) return;
+
+    ctx.globalAlpha = alpha;
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, radius, 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+
+    ctx.fillStyle = 'white';
+    ctx.fillText('$', b.x, b.y + 1.25);
+  });
+
+  ctx.globalAlpha = 1;
+}
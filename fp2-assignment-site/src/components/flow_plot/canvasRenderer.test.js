@@ -0,0 +1,64 @@
+import { drawBubbles, setupCanvas } from './canvasRenderer';
+
+// A 2D context that records every call and property write, in order
+function mockCanvas() {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (target[name] = (...args) => calls.push([name, ...args]))),
+    set: (target, name, value) => {
+      calls.push([`${name}=`, value]);
+      return true;
+    }
+  });
+  const canvas = { width: 300, height: 150, getContext: jest.fn(() => ctx) };
+  return { canvas, calls };
+}
+
+const options = { width: 800, height: 700, radius: 7, color: '#85BB65', fontSize: '16px', opacity: b => b.opacity };
+
+afterEach(() => {
+  window.devicePixelRatio = 1;
+});
+
+test('sizes the backing store for the pixel ratio and draws in design coordinates', () => {
+  window.devicePixelRatio = 2;
+  const { canvas, calls } = mockCanvas();
+
+  setupCanvas(canvas, 800, 700, 0.5);
+
+  expect([canvas.width, canvas.height]).toEqual([800, 700]);
+  expect(calls).toEqual([['setTransform', 1, 0, 0, 1, 0, 0]]);
+
+  window.devicePixelRatio = 3;
+  setupCanvas(canvas, 800, 700, 0.5);
+  expect([canvas.width, canvas.height]).toEqual([1200, 1050]);
+  expect(calls[1]).toEqual(['setTransform', 1.5, 0, 0, 1.5, 0, 0]);
+});
+
+test('clears, then draws each visible bubble as a circle under its "$"', () => {
+  const { canvas, calls } = mockCanvas();
+  drawBubbles(canvas, [
+    { x: 10, y: 20, opacity: 0.5 },
+    { x: 30, y: 40, opacity: 0 },
+    { x: null, y: 40, opacity: 1 },
+    { x: 50, y: 60, opacity: 1 }
+  ], options);
+
+  const drawing = calls.filter(([name]) => ['clearRect', 'globalAlpha=', 'arc', 'fill', 'fillText'].includes(name));
+  expect(drawing).toEqual([
+    ['clearRect', 0, 0, 800, 700],
+    ['globalAlpha=', 0.5],
+    ['arc', 10, 20, 7, 0, 2 * Math.PI],
+    ['fill'],
+    ['fillText', '$', 10, 21.25],
+    ['globalAlpha=', 1],
+    ['arc', 50, 60, 7, 0, 2 * Math.PI],
+    ['fill'],
+    ['fillText', '$', 50, 61.25],
+    // Left as it found it
+    ['globalAlpha=', 1]
+  ]);
+  // The circle in the money colour, the "$" in white on top
+  const fills = calls.filter(([name]) => name === 'fillStyle=').map(([, value]) => value);
+  expect(fills).toEqual(['#85BB65', 'white', '#85BB65', 'white']);
+});
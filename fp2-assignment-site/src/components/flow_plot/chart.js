@@ -1,75 +1,259 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import * as d3 from 'd3';
+import { createScheduler } from './scheduler';
+import { reconcileBubbles } from './reconcile';
+import { createBubbleSimulation, updateSimulationNodes, createFrameSimulation, TICKS_PER_SECOND } from './bubbleSimulation';
+import { frameSvg, frameSize } from './exportFrame';
+import { downloadBlob, svgBlob, pngBlob, recordWebm, canRecordVideo } from './exportMedia';
+import ExportMenu from './ExportMenu';
+import { drawBubbles } from './canvasRenderer';
+import { resolveFlowConfig, resolveYearBounds } from './flowConfig';
+import useResponsiveLayout from './useResponsiveLayout';
+import { readUrlState, writeUrlState } from '../../urlState';
+import { ownsSpaceKey } from '../../keyboard';
+import { useSiteState, useSiteStore } from '../store/siteStore';
+import DataTable from './DataTable';
+import TrendPanel from './TrendPanel';
+import { latestCpiYear, deflateRows, loadCpi } from './inflation';
+import {
+  INVESTOR_SEGMENTS, ALL_SERIES, STATISTICS, DISTRIBUTION_MONEY_KEYS, loadFlowData, applyStatistic, distributionKey
+} from './flowData';
+import { toChartParams, fromChartParams } from './chartUrlState';
+import { loadTable, sourceName } from './dataLoader';
+import { loadAggregatedFlowData } from './aggregateClient';
+import { parseAnnotations, annotationsAt, annotationStartingBetween, wrapWords } from './annotations';
 
 /**
  * FlowChart
  *
- * - Loads "/boston_residential_sales_dummy.csv" by default.
- * - Spawns all new bubbles at (x=150, y=400) if needed.
- * - Clusters using: 
- *     forceX -> x=550, 
- *     forceY -> y=150 for non-investors, y=450 for investors,
- *     forceCollide -> prevent overlap.
- * - Adds velocityDecay(0.15) to reduce perpetual oscillation.
- * - Bubbles fade in/out over ~1 year of slider time (same logic as before).
+ * - Profit as "$" bubbles flowing from the house into investor and
+ *   non-investor clusters, one bubble per config.bubbleValue of profit
+ *   (scheduler.js decides when each is born, bubbleSimulation.js moves them).
+ * - Loads the aggregate at `csvUrl`, or row-level sales at `salesUrl`
+ *   (aggregated in a worker); tunables come from `config`, see flowConfig.js.
+ * - Modes: totals, investor segments, and the investor premium.
+ * - Year, highlighted series, statistic and dollars are shared with the
+ *   other charts (siteStore.js); the chart's own state is deep-linked in its
+ *   section's URL hash (chartUrlState.js).
+ * - renderer="canvas" draws the bubbles on a <canvas> under the SVG.
  */
 
-function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential_sales_clean_aggregated.csv` }) {
+// Columns of the monthly home price index file
+const HPI_SCHEMA = [
+  { key: 'year', column: 'year', required: true },
+  { key: 'HPI', column: 'HPI', required: true }
+];
+
+// Loader problems => one notice line, or null if there were none
+function describeProblems(problems) {
+  if (!problems.length) return null;
+  const shown = problems.slice(0, 3).join('; ');
+  const more = problems.length > 3 ? `; and ${problems.length - 3} more` : '';
+  return `Some values were skipped: ${shown}${more}.`;
+}
+
+const CITATION = 'Data sources: MAPC Region Residential Sales (2000-2022), ' +
+  'S&P CoreLogic Case-Shiller MA-Boston Home Price Index (1987-2024), ' +
+  'BLS Consumer Price Index (CPI-U, for real dollars)';
+
+function FlowChart({
+  csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential_sales_clean_aggregated.csv`,
+  renderer = 'svg',
+  config: configOverrides,
+  sectionId = 'viz', // Section this chart lives in, used for its URL state
+  annotationsUrl = `${process.env.PUBLIC_URL}/flow_annotations.json`, // JSON or CSV; null for none
+  cpiUrl = `${process.env.PUBLIC_URL}/cpi_u_annual.csv`,
+  hpiUrl = `${process.env.PUBLIC_URL}/home_price_index_decimal.csv`,
+  salesUrl, // Optional: row-level sales CSV to aggregate in the browser, instead of csvUrl
+  regionLabel, // Optional: name of the region `csvUrl` covers, shown with the counters
+}) {
   // -----------------------------------------------------------
   // 1) Constants & Config
   // -----------------------------------------------------------
-  const BUBBLE_VALUE = 5000;     
-  const LIFE_SPAN_YEARS = 1.0;    
-  const FADE_PORTION = 0.05;       
-  const COLLISION_RADIUS = 9;    
-  const BUBBLE_RADIUS = 7;        
-  const ANIMATION_SPEED = 0.01;   // Years per animation frame (higher = faster)
+  // Invalid config is reported in place of the chart; hooks still need a config to run with
+  let config;
+  let configError = null;
+  try {
+    config = resolveFlowConfig(configOverrides);
+  } catch (error) {
+    configError = error;
+    config = resolveFlowConfig();
+  }
+
+  const BUBBLE_VALUE = config.bubbleValue;
+  const LIFE_SPAN_YEARS = config.lifeSpanYears;
+  const FADE_PORTION = config.fadePortion;
+  const SCHEDULE_STEP = config.scheduleStep;
+  const COLLISION_RADIUS = config.collisionRadius;
+  const BUBBLE_RADIUS = config.bubbleRadius;
+  const ANIMATION_SPEED = config.animationSpeed; // Years per animation frame (higher = faster)
+  const PAUSE_AT_ANNOTATIONS = config.pauseAtAnnotations;
   const DOLLAR_SIGN_SIZE = "16px";
-  const CANVAS_HEIGHT = 700;
-  const CANVAS_WIDTH = 800;
+  const CANVAS_HEIGHT = config.height;
+  const CANVAS_WIDTH = config.width;
   
   // Cluster configuration
-  const CLUSTER_CIRCLE_RADIUS = 135;
+  const CLUSTER_CIRCLE_RADIUS = config.clusterRadius;
+  const SEGMENT_CIRCLE_RADIUS = config.segmentRadius;
+  const SEGMENT_OFFSET = config.segmentOffset; // Distance of each sub-cluster from the investor cluster centre, per axis
   const CLUSTER_CIRCLE_STROKE_WIDTH = 2;
   
   // Define spawning point coordinates
-  const SPAWN_X = 180;
-  const SPAWN_Y = CANVAS_HEIGHT/2;
+  const SPAWN_X = config.spawn.x;
+  const SPAWN_Y = config.spawn.y;
+  // Where a recycled bubble restarts
+  const RECYCLE_AT = config.recycleAt;
 
   // “Cluster” for investor vs. non-investor
-  const [clusterPositions, setClusterPositions] = useState({
-    x: 630,
-    nonInvY: 190,
-    invY: 510
-  });
+  const clusterPositions = config.clusterPositions;
   
-  // Add hover state tracking
+  // Add hover state tracking for the house; the hovered series is site-wide
   const [hoverState, setHoverState] = useState({
-    investor: false,
-    noninvestor: false,
     house: false // Add house hover state
   });
+  const siteStore = useSiteStore();
+  const selection = useSiteState(state => state.selection);
+  // The series highlighted here (not from another chart), which is what this chart's URL records
+  const ownSelectionRef = useRef(null);
+
+  function setHover(key, value) {
+    if (key === 'house') {
+      setHoverState(prev => ({ ...prev, house: value }));
+    } else if (value) {
+      ownSelectionRef.current = key;
+      siteStore.setState({ selection: key });
+    } else if (siteStore.getState().selection === key) {
+      ownSelectionRef.current = null;
+      siteStore.setState({ selection: null });
+    }
+  }
+
+  // "total" = investor vs. non-investor, "segments" = investor cluster split by investor type,
+  // "gap" = non-investor vs. the investor premium on top of it
+  const [mode, setMode] = useState('total');
+
+  // "nominal" = dollars as reported, "real" = restated in base-year dollars.
+  // Site-wide, with the statistic, so the small multiples show the same numbers
+  const dollars = useSiteState(state => state.dollars);
+  const setDollars = value => siteStore.setState({ dollars: value });
+
+  // Which statistic of each year's profits the bubbles show (a flowData STATISTICS key)
+  const statistic = useSiteState(state => state.statistic);
+  const setStatistic = value => siteStore.setState({ statistic: value });
+  const statLabel = STATISTICS.find(s => s.key === statistic).label;
+
+  // "View as table" mode
+  const [showTable, setShowTable] = useState(false);
+
+  // Cluster targets for every series shown in the current mode
+  const clusters = getClusters(mode);
+  const activeSeries = clusters.map(c => c.key);
+
+  // The simulation is created once, so it reads cluster targets through a ref
+  const clustersRef = useRef({});
+  clustersRef.current = Object.fromEntries(clusters.map(c => [c.key, c]));
+
+  function getClusters(mode) {
+    const nonInvestor = {
+      key: 'noninvestor',
+      x: clusterPositions.x,
+      y: clusterPositions.nonInvY,
+      r: CLUSTER_CIRCLE_RADIUS,
+      color: 'blue',
+      name: 'Non-Investor',
+      label: `Non-Investor ${statLabel}`,
+      counterLabel: `Non-Investor ${statLabel} Profit`,
+      countBadge: true, // Room for a sales-count badge after the label
+      labelSize: 22,
+      counterSize: 18
+    };
+
+    if (mode === 'gap') {
+      return [nonInvestor, {
+        key: 'gap',
+        x: clusterPositions.x,
+        y: clusterPositions.invY,
+        r: CLUSTER_CIRCLE_RADIUS,
+        color: '#EF6C00',
+        name: 'Investor Premium',
+        label: 'Investor Premium',
+        counterLabel: 'Premium',
+        labelSize: 22,
+        counterSize: 18
+      }];
+    }
+
+    if (mode !== 'segments') {
+      return [nonInvestor, {
+        key: 'investor',
+        x: clusterPositions.x,
+        y: clusterPositions.invY,
+        r: CLUSTER_CIRCLE_RADIUS,
+        color: 'red',
+        name: 'Investor',
+        label: `Investor ${statLabel}`,
+        counterLabel: `Investor ${statLabel} Profit`,
+        countBadge: true,
+        labelSize: 22,
+        counterSize: 18
+      }];
+    }
+
+    // Lay the four segments out in a 2x2 grid over the investor cluster
+    return [nonInvestor, ...INVESTOR_SEGMENTS.map((segment, i) => {
+      const top = i < 2;
+      return {
+        key: segment.key,
+        x: clusterPositions.x + (i % 2 === 0 ? -SEGMENT_OFFSET : SEGMENT_OFFSET),
+        y: clusterPositions.invY + (top ? -SEGMENT_OFFSET : SEGMENT_OFFSET),
+        r: SEGMENT_CIRCLE_RADIUS,
+        color: segment.color,
+        name: segment.label,
+        label: segment.label,
+        labelAbove: top,
+        counterLabel: statistic === 'mean' ? 'Profit' : statLabel,
+        labelSize: 16,
+        counterSize: 13
+      };
+    })];
+  }
 
   function clusterX(d) {
-    // Everyone clusters at CLUSTER_X
-    return clusterPositions.x;
+    const cluster = clustersRef.current[d.type];
+    return cluster ? cluster.x : SPAWN_X;
   }
   function clusterY(d) {
-    // top cluster if non-investor, bottom cluster if investor
-    return d.type === 'investor' ? clusterPositions.invY : clusterPositions.nonInvY;
+    const cluster = clustersRef.current[d.type];
+    return cluster ? cluster.y : SPAWN_Y;
   }
 
   // Define money green color constant
-  const MONEY_GREEN = "#85BB65";
+  const MONEY_GREEN = config.moneyGreen;
 
   // -----------------------------------------------------------
   // 2) State
   // -----------------------------------------------------------
   const [csvData, setCsvData] = useState([]);
-  const [minYear, setMinYear] = useState(undefined);
-  const [maxYear, setMaxYear] = useState(undefined);
+  const [loadError, setLoadError] = useState(null);
+  // Non-fatal data problems, one notice per file
+  const [dataWarnings, setDataWarnings] = useState({});
+
+  function setDataWarning(file, message) {
+    setDataWarnings(prev => ({ ...prev, [file]: message }));
+  }
+  const [hasSegments, setHasSegments] = useState(false);
+  // Statistics the file has, and whether it has quartiles and sales counts
+  const [statistics, setStatistics] = useState(['mean']);
+  const [hasDistribution, setHasDistribution] = useState(false);
+  const [hasSalesCount, setHasSalesCount] = useState(false);
   const [currentTime, setCurrentTime] = useState(undefined);
   const [homePriceData, setHomePriceData] = useState({}); // New state for home price index
+  const [annotations, setAnnotations] = useState([]);
+  const [cpi, setCpi] = useState({});
+
+  // Playback reads the events through a ref, since the animation loop outlives renders
+  const annotationsRef = useRef(annotations);
+  annotationsRef.current = annotations;
   
   // Animation state
   const [isPlaying, setIsPlaying] = useState(false);
@@ -81,51 +265,121 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
   // Force simulation reference
   const simulationRef = useRef(null);
 
-  // New state to track scheduled bubble births
-  const [scheduledBubbles, setScheduledBubbles] = useState({
-    investor: [],
-    noninvestor: []
-  });
+  // Responsive layout: the chart is drawn in design coordinates and scaled to its container
+  const [chartContainer, setChartContainer] = useState(null);
+  const { scale, stacked } = useResponsiveLayout(chartContainer, CANVAS_WIDTH);
+
+  // Canvas renderer: the simulation redraws the canvas itself on every tick
+  // instead of re-rendering React, so it reads the renderer and draw call through refs
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(renderer);
+  rendererRef.current = renderer;
+  const drawRef = useRef(() => {});
 
   // -----------------------------------------------------------
   // 3) Load CSV
   // -----------------------------------------------------------
   useEffect(() => {
-    d3.csv(csvUrl).then((raw) => {
-      const data = raw.map(d => ({
-        year: +d.year,
-        investor: +d['total investor profit'],
-        noninvestor: +d['noninvestor profit']
-      })).sort((a, b) => a.year - b.year);
+    let cancelled = false;
+    setLoadError(null);
+    const load = salesUrl
+      ? loadAggregatedFlowData(salesUrl, { grouping: 'segments', maxUsecode: 200, distribution: true })
+      : loadFlowData(csvUrl);
+    load.then(({
+      data,
+      hasSegments: segmentsAvailable,
+      statistics: statsAvailable,
+      hasDistribution: distributionAvailable,
+      hasSalesCount: countAvailable,
+      problems
+    }) => {
+      // A newer file was asked for while this one loaded
+      if (cancelled) return;
 
-      setCsvData(data);
+      // Only offer segments mode if the file actually has segment values
+      setHasSegments(segmentsAvailable);
+      if (!segmentsAvailable) setMode(m => m === 'segments' ? 'total' : m);
 
-      const years = data.map(d => d.year);
-      const minY = d3.min(years);
-      const maxY = d3.max(years);
+      // Likewise the statistics: fall back to the mean if the new file lacks the current one
+      setStatistics(statsAvailable);
+      if (!statsAvailable.includes(siteStore.getState().statistic)) siteStore.setState({ statistic: 'mean' });
+      setHasDistribution(distributionAvailable);
+      setHasSalesCount(countAvailable);
 
-      setMinYear(minY);
-      setMaxYear(maxY);
-      // Start at year 2000 (which is data year 2000)
-      setCurrentTime(2000); 
+      setDataWarning('sales', describeProblems(problems));
+      setCsvData(data);
+    }).catch(error => {
+      if (!cancelled) setLoadError(error);
     });
-  }, [csvUrl]);
+    return () => {
+      cancelled = true;
+    };
+  }, [csvUrl, salesUrl, siteStore]);
+
+  // Slider bounds come from the loaded data, narrowed by config.minYear / maxYear
+  let yearBounds = null;
+  let yearError = null;
+  if (csvData.length) {
+    try {
+      yearBounds = resolveYearBounds(config, csvData, ALL_SERIES);
+    } catch (error) {
+      yearError = error;
+    }
+  }
+  const minYear = yearBounds ? yearBounds.minYear : undefined;
+  const maxYear = yearBounds ? yearBounds.maxYear : undefined;
+
+  // Start at the first year, and move back inside the bounds if they change
+  useEffect(() => {
+    if (minYear == null) return;
+    setCurrentTime(t => (t == null || t < minYear || t > maxYear) ? minYear : t);
+  }, [minYear, maxYear]);
 
   // Load home price index data
   useEffect(() => {
-    d3.csv(`${process.env.PUBLIC_URL}/home_price_index_decimal.csv`).then((data) => {
+    loadTable(hpiUrl, HPI_SCHEMA).then(({ rows, problems }) => {
       const priceData = {};
-      data.forEach(d => {
-      // Use the decimal year format for more precise time points
-      if (d.year && d.HPI) {
-        priceData[+d.year] = +d.HPI;
-      }
+      rows.forEach(d => {
+        // Use the decimal year format for more precise time points
+        priceData[d.year] = d.HPI;
       });
       setHomePriceData(priceData);
+      setDataWarning('hpi', describeProblems(problems));
     }).catch(error => {
-      console.error("Error loading home price index data:", error);
+      setDataWarning('hpi', `${error.message} The home price index is unavailable.`);
     });
-  }, []);
+  }, [hpiUrl]);
+
+  // Monthly HPI as a sorted series, for the trend panel
+  const hpiSeries = useMemo(() => Object.keys(homePriceData)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(year => ({ year, value: homePriceData[year] })), [homePriceData]);
+
+  // Load the CPI series for real-dollar mode
+  useEffect(() => {
+    loadCpi(cpiUrl).then(({ cpi: loadedCpi, problems }) => {
+      setCpi(loadedCpi);
+      setDataWarning('cpi', describeProblems(problems));
+    }).catch(error => {
+      setDataWarning('cpi', `${error.message} Real dollars are unavailable.`);
+    });
+  }, [cpiUrl]);
+
+  // Load timeline annotations; a missing or broken file just means no events
+  useEffect(() => {
+    if (!annotationsUrl) {
+      setAnnotations([]);
+      return;
+    }
+    const load = /\.csv($|\?)/i.test(annotationsUrl) ? d3.csv : d3.json;
+    load(annotationsUrl).then((raw) => {
+      setAnnotations(parseAnnotations(raw));
+    }).catch(error => {
+      setDataWarning('annotations', `${sourceName(annotationsUrl)}: ${error.message}`);
+      setAnnotations([]);
+    });
+  }, [annotationsUrl]);
 
   // -----------------------------------------------------------
   // Animation functions for autoscroll
@@ -140,7 +394,16 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
           stopAnimation();
           return maxYear;
         }
-        return Math.min(maxYear, prev + ANIMATION_SPEED);
+        const next = Math.min(maxYear, prev + ANIMATION_SPEED);
+        // Hold at the start of an event so the viewer can read its callout
+        if (PAUSE_AT_ANNOTATIONS) {
+          const event = annotationStartingBetween(annotationsRef.current, prev, next);
+          if (event) {
+            stopAnimation();
+            return event.start;
+          }
+        }
+        return next;
       });
       
       animationRef.current = requestAnimationFrame(animate);
@@ -157,6 +420,9 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
     setIsPlaying(false);
   }
   
+  const stopAnimationRef = useRef(stopAnimation);
+  stopAnimationRef.current = stopAnimation;
+
   function toggleAnimation() {
     if (isPlaying) {
       stopAnimation();
@@ -175,346 +441,235 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
   }, []);
 
   // -----------------------------------------------------------
-  // 4) Interpolation
+  // URL state (#viz?year=2008.5&mode=segments&focus=investor)
   // -----------------------------------------------------------
-  function lerp(x0, y0, x1, y1, t) {
-    if (x1 === x0) return y0;
-    const alpha = (t - x0) / (x1 - x0);
-    return y0 + alpha * (y1 - y0);
+  // Only write the URL once the viewer has touched the controls,
+  // so simply opening the page doesn't add a history entry
+  const urlDirtyRef = useRef(false);
+  // Whether the latest move came from the shared year rather than the chart's own controls
+  const timeFromParentRef = useRef(false);
+  function markInteracted() {
+    urlDirtyRef.current = true;
+    timeFromParentRef.current = false;
   }
 
-  function getInterpolatedProfits(t) {
-    if (!csvData.length) return { inv: 0, noninv: 0 };
+  function applyUrlState() {
+    const { section, params } = readUrlState();
+    if (section !== sectionId || minYear == null) return;
 
-    const earliestYear = csvData[0].year;
-    const latestYear = csvData[csvData.length - 1].year;
-    
-    // Fix: Return the first year's data if at or before the earliest year
-    if (t <= earliestYear) {
-      return { 
-        inv: csvData[0].investor, 
-        noninv: csvData[0].noninvestor 
-      };
-    }
-    
-    // Fix: When at or after the latest year, return that exact value
-    if (t >= latestYear) {
-      const last = csvData[csvData.length - 1];
-      return { 
-        inv: last.investor, 
-        noninv: last.noninvestor 
-      };
-    }
+    const state = fromChartParams(params, { minYear, maxYear, hasSegments, statistics });
+    if (state.year != null) setCurrentTime(state.year);
+    setMode(state.mode);
+    setDollars(state.dollars);
+    setStatistic(state.statistic);
+    // No focus in the link means nothing highlighted, so Back clears a highlight too
+    setHoverState({ house: state.focus === 'house' });
+    ownSelectionRef.current = state.focus === 'house' ? null : state.focus;
+    siteStore.setState({ selection: ownSelectionRef.current });
+  }
 
-    // In between years - find the right interval
-    let i1 = 0;
-    for (let i = 0; i < csvData.length - 1; i++) {
-      if (csvData[i].year <= t && t < csvData[i + 1].year) {
-        i1 = i;
-        break;
-      }
-    }
-    const d0 = csvData[i1];
-    const d1 = csvData[i1 + 1];
+  const applyUrlStateRef = useRef(applyUrlState);
+  applyUrlStateRef.current = applyUrlState;
+
+  // Land on the linked moment once the data (and so the year bounds) is in
+  useEffect(() => {
+    applyUrlStateRef.current();
+  }, [minYear, maxYear, hasSegments, statistics]);
 
-    return {
-      inv: lerp(d0.year, d0.investor, d1.year, d1.investor, t),
-      noninv: lerp(d0.year, d0.noninvestor, d1.year, d1.noninvestor, t)
+  // Back/forward => jump to the state the viewer had scrubbed to
+  useEffect(() => {
+    const onPopState = () => {
+      stopAnimationRef.current();
+      applyUrlStateRef.current();
     };
-  }
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
 
-  // Function to get the interpolated profit amounts directly from the data
-  function getDataProfit(t) {
-    if (!csvData.length) return { inv: 0, noninv: 0 };
+  // Record where the viewer stopped scrubbing (not every animation frame).
+  // A year or highlight that came from another chart is that chart's to record
+  const writtenRef = useRef(null); // params last written, less `focus`
+  useEffect(() => {
+    if (!urlDirtyRef.current || timeFromParentRef.current || isPlaying || currentTime == null) return;
+    const timer = setTimeout(() => {
+      // Keep params other views own (e.g. the region) alongside the chart's
+      const { section, params } = readUrlState();
+      const focus = hoverState.house ? 'house' : ownSelectionRef.current;
+      const { focus: focusParam, ...chartParams } = toChartParams({ year: currentTime, mode, dollars, statistic, focus });
+      // A new highlight alone updates the link in place; hovering shouldn't fill the history
+      const written = JSON.stringify(chartParams);
+      const focusOnly = written === writtenRef.current;
+      writtenRef.current = written;
+      writeUrlState(sectionId, {
+        ...(section === sectionId ? params : {}),
+        ...chartParams,
+        focus: focusParam
+      }, { replace: focusOnly });
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [currentTime, mode, dollars, statistic, selection, hoverState.house, isPlaying, sectionId]);
 
-    const earliestYear = csvData[0].year;
-    const latestYear = csvData[csvData.length - 1].year;
-    
-    if (t <= earliestYear) {
-      return { 
-        inv: csvData[0].investor, 
-        noninv: csvData[0].noninvestor 
-      };
-    }
-    
-    if (t >= latestYear) {
-      const last = csvData[csvData.length - 1];
-      return { 
-        inv: last.investor, 
-        noninv: last.noninvestor 
-      };
-    }
+  // -----------------------------------------------------------
+  // Shared year: write the slider time to the site store, follow it when another chart moves it
+  // -----------------------------------------------------------
+  const time = useSiteState(state => state.year);
+  // Remember what was written, so it coming back isn't mistaken for a request to jump
+  const reportedTimeRef = useRef(null);
 
-    // Find the right interval
-    let i1 = 0;
-    for (let i = 0; i < csvData.length - 1; i++) {
-      if (csvData[i].year <= t && t < csvData[i + 1].year) {
-        i1 = i;
-        break;
-      }
-    }
-    
-    const d0 = csvData[i1];
-    const d1 = csvData[i1 + 1];
+  useEffect(() => {
+    if (currentTime == null) return;
+    reportedTimeRef.current = currentTime;
+    siteStore.setState({ year: currentTime });
+  }, [currentTime, siteStore]);
 
-    return {
-      inv: lerp(d0.year, d0.investor, d1.year, d1.investor, t),
-      noninv: lerp(d0.year, d0.noninvestor, d1.year, d1.noninvestor, t)
-    };
-  }
+  useEffect(() => {
+    if (time == null || minYear == null || time === reportedTimeRef.current) return;
+    // Not the viewer's doing here (the scroll story, say), so it doesn't make the URL worth writing
+    timeFromParentRef.current = true;
+    stopAnimationRef.current();
+    setCurrentTime(Math.min(Math.max(time, minYear), maxYear));
+  }, [time, minYear, maxYear]);
 
-  // An improved version of the bubble scheduling function that ensures exact ball counts
-  function scheduleBubbleBirths(csvData) {
-    if (!csvData || csvData.length < 2) return;
+  // -----------------------------------------------------------
+  // Real dollars (see inflation.js)
+  // -----------------------------------------------------------
+  const baseYear = config.realDollarsBaseYear != null ? config.realDollarsBaseYear : latestCpiYear(cpi);
 
-    const invSchedule = [];
-    const nonInvSchedule = [];
-    
-    // For each time period in the data
-    for (let i = 0; i < csvData.length - 1; i++) {
-      const startYear = csvData[i].year;
-      const endYear = csvData[i+1].year;
-      const yearSpan = endYear - startYear;
-      
-      // For each year, calculate exact bubble count based on raw data
-      for (let timePoint = startYear; timePoint <= endYear; timePoint += 0.1) {
-        // Get target bubble counts at this exact time point
-        const profits = getDataProfit(timePoint);
-        const targetInvCount = Math.round(profits.inv / BUBBLE_VALUE);
-        const targetNonInvCount = Math.round(profits.noninv / BUBBLE_VALUE);
-        
-        // Count how many bubbles will be alive at this timepoint
-        // (bubbles that were born before and haven't expired yet)
-        const aliveInvCount = invSchedule.filter(birthTime => 
-          birthTime <= timePoint && 
-          (timePoint - birthTime) <= LIFE_SPAN_YEARS
-        ).length;
-        
-        const aliveNonInvCount = nonInvSchedule.filter(birthTime => 
-          birthTime <= timePoint && 
-          (timePoint - birthTime) <= LIFE_SPAN_YEARS
-        ).length;
-        
-        // Add exactly the number of bubbles needed to match the count
-        const invBubblesToAdd = Math.max(0, targetInvCount - aliveInvCount);
-        const nonInvBubblesToAdd = Math.max(0, targetNonInvCount - aliveNonInvCount);
-        
-        // Add new bubbles with slight time offset for more natural appearance
-        for (let j = 0; j < invBubblesToAdd; j++) {
-          const birthTime = timePoint - (j * 0.001); // Very small offset
-          invSchedule.push(birthTime);
-        }
-        
-        for (let j = 0; j < nonInvBubblesToAdd; j++) {
-          const birthTime = timePoint - (j * 0.001); // Very small offset
-          nonInvSchedule.push(birthTime);
-        }
-      }
-    }
-    
-    // For the initial period, add bubbles for pre-start visibility
-    const initialYear = csvData[0].year;
-    const initialProfits = getDataProfit(initialYear);
-    const initialInvCount = Math.round(initialProfits.inv / BUBBLE_VALUE);
-    const initialNonInvCount = Math.round(initialProfits.noninv / BUBBLE_VALUE);
-    
-    // Add bubbles in a staggered fashion before the initial year
-    // to avoid all appearing at once
-    for (let i = 0; i < initialInvCount; i++) {
-      const birthTime = initialYear - LIFE_SPAN_YEARS * 0.9 + (i * 0.01);
-      invSchedule.push(birthTime);
-    }
-    
-    for (let i = 0; i < initialNonInvCount; i++) {
-      const birthTime = initialYear - LIFE_SPAN_YEARS * 0.9 + (i * 0.01);
-      nonInvSchedule.push(birthTime);
-    }
-    
-    // Sort bubble birth times and set state
-    setScheduledBubbles({
-      investor: invSchedule.sort((a, b) => a - b),
-      noninvestor: nonInvSchedule.sort((a, b) => a - b)
-    });
-  }
-  
-  // Schedule bubble births after CSV data is loaded
-  useEffect(() => {
-    if (csvData.length > 0 && minYear !== undefined && maxYear !== undefined) {
-      scheduleBubbleBirths(csvData);
+  // The series values for the picked statistic, before any deflating
+  const statData = useMemo(() => applyStatistic(csvData, statistic), [csvData, statistic]);
+
+  // Deflated rows, or the reason they can't be made (shown on the disabled toggle)
+  const realData = useMemo(() => {
+    if (!statData.length || baseYear == null) return { rows: null, error: null };
+    try {
+      return { rows: deflateRows(statData, cpi, baseYear, [...ALL_SERIES, ...DISTRIBUTION_MONEY_KEYS]), error: null };
+    } catch (error) {
+      return { rows: null, error };
     }
-  }, [csvData, minYear, maxYear]);
+  }, [statData, cpi, baseYear]);
+
+  const inRealDollars = dollars === 'real' && realData.rows != null;
+  const chartData = inRealDollars ? realData.rows : statData;
+  const dollarsNote = inRealDollars ? ` in ${baseYear} dollars` : '';
+
+  // Second line under the hover counters: which region, which statistic, in which dollars
+  const counterNote = [
+    regionLabel,
+    statistics.length > 1 && statLabel.toLowerCase(),
+    inRealDollars && `${baseYear} dollars`
+  ].filter(Boolean).join(' · ');
+  const regionNote = regionLabel ? `, ${regionLabel}` : '';
+
+  // -----------------------------------------------------------
+  // 4) Bubble schedule (see scheduler.js)
+  // -----------------------------------------------------------
+  const scheduler = useMemo(() => createScheduler(chartData, {
+    keys: ALL_SERIES,
+    bubbleValue: BUBBLE_VALUE,
+    lifeSpan: LIFE_SPAN_YEARS,
+    fadePortion: FADE_PORTION,
+    step: SCHEDULE_STEP
+  }), [chartData, BUBBLE_VALUE, LIFE_SPAN_YEARS, FADE_PORTION, SCHEDULE_STEP]);
 
   // -----------------------------------------------------------
   // 5) When slider changes => spawn/fade bubbles
   // -----------------------------------------------------------
   useEffect(() => {
     if (!csvData.length || currentTime == null || 
-        !scheduledBubbles.investor.length) return;
-
-    // Update bubbles based on scheduled births
-    setBubbles(prevBubs => {
-      // Create a copy of the existing bubbles
-      const newBubs = prevBubs.filter(b => {
-        // Keep all bubbles that either:
-        // 1. Haven't been born yet (we'll use them for recycling)
-        // 2. Are currently alive (birthTime <= currentTime && age <= LIFE_SPAN_YEARS)
-        const age = currentTime - b.birthTime;
-        return b.birthTime > currentTime || (age >= 0 && age <= LIFE_SPAN_YEARS);
-      }).map(b => ({...b}));
-      
-      // For each type, find which bubbles should be active now
-      ['investor', 'noninvestor'].forEach(type => {
-        // Get relevant scheduled birthtimes and existing bubbles
-        const scheduledTimes = scheduledBubbles[type];
-        const existingBubbles = newBubs.filter(b => b.type === type);
-        
-        // Filter for bubbles that should be born by now but aren't dead yet
-        const shouldExist = scheduledTimes.filter(time => 
-          time <= currentTime && // Born by now
-          (currentTime - time) <= LIFE_SPAN_YEARS // Not dead yet
-        );
-        
-        // Get existing birth times
-        const existingBirthTimes = existingBubbles
-          .filter(b => b.birthTime <= currentTime) // Only consider born bubbles
-          .map(b => b.birthTime);
-        
-        // Find birthtimes that don't have bubbles yet
-        const missingBirthTimes = shouldExist.filter(
-          time => !existingBirthTimes.includes(time)
-        );
-        
-        // Create bubbles for missing birthtimes
-        missingBirthTimes.forEach(birthTime => {
-          // First try to recycle a future bubble
-          const futureBubble = existingBubbles.find(b => b.birthTime > currentTime);
-          
-          if (futureBubble) {
-            // Recycle by changing its birthtime
-            futureBubble.birthTime = birthTime;
-            // Reset position for recycled bubble
-            futureBubble.x = 150;
-            futureBubble.y = 300;
-          } else {
-            // Create a brand new bubble
-            newBubs.push(createBubble(type, birthTime));
-          }
-        });
-      });
-      
-      return newBubs;
-    });
-  }, [currentTime, scheduledBubbles]);
+        !scheduler.times.length) return;
 
-  // -----------------------------------------------------------
-  // 6) Create a single bubble
-  // -----------------------------------------------------------
-  function createBubble(type, birthTime) {
-    return {
-      id: Math.random().toString(36).substr(2, 9),
-      type,
-      birthTime,
-      // Spawn at defined spawn point
-      x: SPAWN_X,
-      y: SPAWN_Y
-    };
-  }
+    // Scheduled bubbles that should be on screen right now
+    const aliveNow = scheduler.aliveAt(currentTime, activeSeries);
+
+    // Match them onto the existing bubbles (see reconcile.js)
+    setBubbles(prevBubs => reconcileBubbles(prevBubs, aliveNow, currentTime, {
+      spawn: { x: SPAWN_X, y: SPAWN_Y },
+      recycleAt: RECYCLE_AT,
+      createId: () => Math.random().toString(36).substr(2, 9)
+    }));
+  }, [currentTime, scheduler, mode]);
 
   // -----------------------------------------------------------
-  // 7) Initialize Force Simulation (with "viscosity")
+  // 6) Initialize Force Simulation (with "viscosity")
   // -----------------------------------------------------------
   useEffect(() => {
-    const sim = d3.forceSimulation()
-      // Use moderate .strength(0.05) for X & Y like "original"
-      .force("x", d3.forceX(clusterX).strength(0.04))
-      .force("y", d3.forceY(clusterY).strength(0.04))
-      .force("collision", d3.forceCollide(COLLISION_RADIUS))
-      // Increase damping to better match original comment about 0.2-0.3 range
-      .velocityDecay(0.3)   // Increased from 0.2 to 0.3
-      .alphaDecay(0.02)
-      .alphaMin(0.001)
+    // Forces and damping live in bubbleSimulation.js, shared with exports
+    const sim = createBubbleSimulation(clusterX, clusterY, COLLISION_RADIUS)
       .on("tick", () => {
-        // On each tick => re-render with new positions
-        setBubbles(bubs => [...bubs]);
+        if (rendererRef.current === 'canvas') {
+          // Canvas => just repaint, React doesn't need to know
+          drawRef.current();
+        } else {
+          // On each tick => re-render with new positions
+          setBubbles(bubs => [...bubs]);
+        }
       });
 
     simulationRef.current = sim;
     return () => sim.stop();
   }, []);
 
+  // Reheat when the mode changes so bubbles travel to their new clusters
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.alpha(0.8).restart();
+    }
+  }, [mode]);
+
   // -----------------------------------------------------------
-  // 8) Update sim when bubble list changes
+  // 7) Update sim when bubble list changes
   // -----------------------------------------------------------
   useEffect(() => {
     if (!simulationRef.current) return;
     const sim = simulationRef.current;
-    
-    // Store previous nodes count to avoid unnecessary reheating
-    const prevNodesCount = sim.nodes().length;
 
-    // CRITICAL FIX: Only pass ALIVE bubbles to the simulation
-    const aliveBubbles = bubbles.filter(b => getOpacity(b) > 0);
-
-    // If any bubble has no coords => put it at spawn point
-    aliveBubbles.forEach(b => {
-      if (b.x == null || b.y == null) {
-        b.x = SPAWN_X;
-        b.y = SPAWN_Y;
-      }
-    });
-
-    // Update the simulation nodes
-    sim.nodes(aliveBubbles);
-    
-    // Only reheat if the number of nodes has changed - prevents constant vibration
-    if (prevNodesCount !== aliveBubbles.length) {
-      sim.alpha(0.8).restart();  // Use exact value from original (0.8)
-    } else if (sim.alpha() < 0.1) {
-      // Just a gentle nudge if simulation is too settled but we have same nodes
-      sim.alpha(0.1).restart();
-    }
+    // Only ALIVE bubbles go to the simulation (new ones start at the house);
+    // it's reheated fully only when the count changes, to prevent constant vibration
+    updateSimulationNodes(sim, bubbles, b => getOpacity(b) > 0, { x: SPAWN_X, y: SPAWN_Y });
+    sim.restart();
   }, [bubbles]);
 
   // -----------------------------------------------------------
-  // 9) Fade in/out
+  // 8) Fade in/out
   // -----------------------------------------------------------
   function getOpacity(b) {
-    if (currentTime == null) return 0;
-    const age = currentTime - b.birthTime;
-    if (age < 0 || age > LIFE_SPAN_YEARS) return 0;
-
-    const fadeInEnd = LIFE_SPAN_YEARS * FADE_PORTION;
-    const fadeOutStart = LIFE_SPAN_YEARS * (1 - FADE_PORTION);
-
-    if (age < fadeInEnd) {
-      // fade 0 -> 1
-      return age / fadeInEnd;
-    } else if (age > fadeOutStart) {
-      // fade 1 -> 0
-      const remain = LIFE_SPAN_YEARS - fadeOutStart;
-      return 1 - (age - fadeOutStart) / remain;
-    } else {
-      return 1;
-    }
+    return scheduler.opacity(b, currentTime);
   }
 
+  // Canvas renderer: repaint with the latest bubbles and time
+  drawRef.current = () => {
+    if (!canvasRef.current) return;
+    drawBubbles(canvasRef.current, bubbles, {
+      width: CANVAS_WIDTH,
+      height: CANVAS_HEIGHT,
+      scale,
+      radius: BUBBLE_RADIUS,
+      color: MONEY_GREEN,
+      fontSize: DOLLAR_SIGN_SIZE,
+      opacity: getOpacity
+    });
+  };
+
+  // ...and when bubbles or the time change without a simulation tick
+  useEffect(() => {
+    if (renderer === 'canvas') drawRef.current();
+  }, [renderer, bubbles, currentTime, scale]);
+
   // -----------------------------------------------------------
-  // 10) Summaries
+  // 9) Summaries
   // -----------------------------------------------------------
   const invVisible = bubbles.filter(b => b.type === 'investor' && getOpacity(b) > 0);
   const nonInvVisible = bubbles.filter(b => b.type === 'noninvestor' && getOpacity(b) > 0);
 
   // Calculate profit directly from data instead of counting bubbles
-  const directProfit = getDataProfit(currentTime);
-  const invProfit = directProfit.inv;
-  const nonInvProfit = directProfit.noninv;
+  const directProfit = scheduler.profitsAt(currentTime);
 
-  // Function to get the home price index for the current time - using raw data without interpolation
-  function getHomePrice() {
+  // Function to get the home price index for a time (the current one by default) - using raw data without interpolation
+  function getHomePrice(t = currentTime) {
     // If we have loaded data
     if (Object.keys(homePriceData).length > 0) {
       // Get exact time point
-      const exactTime = currentTime;
+      const exactTime = t;
       
       // Get available time points
       const availableTimePoints = Object.keys(homePriceData).map(Number).sort((a, b) => a - b);
@@ -564,37 +719,362 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
   }
 
   // -----------------------------------------------------------
-  // 11) Render
+  // 10) Render
   // -----------------------------------------------------------
+  const error = configError || loadError || yearError;
+  if (error) {
+    return (
+      <div role="alert" style={{ color: '#B71C1C', fontFamily: 'Helvetica Neue' }}>
+        <strong>{error === loadError ? "The chart's data couldn't be loaded." : "The chart couldn't be drawn."}</strong>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
   if (!csvData.length || minYear == null || maxYear == null || currentTime == null) {
     return <div>Loading CSV data or initializing...</div>;
   }
   
-  // Generate year marks for slider - start from 2000
+  // Annotation boxes: beside the chart pointing at what they describe, or
+  // stacked below it. Text is in runs (bold or not) so exports can draw it too.
+  const annotationNotes = [
+    {
+      key: 'house',
+      side: 'left',
+      y: SPAWN_Y, // Align with the house
+      arrowColor: '#666',
+      runs: [
+        { text: 'The Case-Shiller House Price Index (HPI), computed using repeat home sales data, has been ' },
+        { text: 'increasing year-by-year', bold: true },
+        { text: '.' }
+      ]
+    },
+    {
+      key: 'noninvestor',
+      side: 'right',
+      y: clusterPositions.nonInvY, // Position at non-investor circle height
+      arrowColor: 'black',
+      runs: [
+        { text: 'Consistently, sales by non-investors have seen ' },
+        { text: 'less profit', bold: true },
+        { text: ' as compared to sales made by investors.' }
+      ]
+    },
+    {
+      key: 'investor',
+      side: 'right',
+      y: clusterPositions.invY, // Position at investor circle height
+      arrowColor: 'black',
+      runs: [
+        { text: 'This ever-growing divide demonstrates the ' },
+        { text: 'increase in speculative investment', bold: true },
+        { text: ' in the Boston housing market.' }
+      ]
+    }
+  ];
+  const annotationBoxes = annotationNotes.map(box => (
+    <div
+      key={box.key}
+      className={`flow-annotation flow-annotation--${box.side}`}
+      style={{ top: `${box.y * 100 / CANVAS_HEIGHT}%` }}
+    >
+      <p>
+        {box.runs.map((run, i) => run.bold ? <strong key={i}>{run.text}</strong> : run.text)}
+      </p>
+      <div className="flow-annotation__line" style={{ background: box.arrowColor }}></div>
+      <div className="flow-annotation__arrow" style={{ color: box.arrowColor }}></div>
+    </div>
+  ));
+
+  // -----------------------------------------------------------
+  // Keyboard & screen reader support
+  // -----------------------------------------------------------
+  const MONTH = 1 / 12;
+  const displayYear = Math.max(Math.round(currentTime), Math.ceil(minYear));
+
+  function stepTime(delta) {
+    markInteracted();
+    stopAnimation();
+    setCurrentTime(t => Math.min(maxYear, Math.max(minYear, t + delta)));
+  }
+
+  // Arrows => a month, PageUp/PageDown => a year, Home/End => the bounds
+  function handleSliderKeyDown(e) {
+    const steps = {
+      ArrowRight: MONTH,
+      ArrowUp: MONTH,
+      ArrowLeft: -MONTH,
+      ArrowDown: -MONTH,
+      PageUp: 1,
+      PageDown: -1,
+      Home: minYear - maxYear,
+      End: maxYear - minYear
+    };
+    if (e.key in steps) {
+      e.preventDefault();
+      stepTime(steps[e.key]);
+    }
+  }
+
+  // Space anywhere in the chart (except on buttons, which click) => play/pause
+  function handleChartKeyDown(e) {
+    // Space in a select or text field (or on a button) does what it does there
+    if (e.key === ' ' && !ownsSpaceKey(e.target)) {
+      e.preventDefault();
+      markInteracted();
+      toggleAnimation();
+    }
+  }
+
+  function formatSliderTime(t) {
+    const year = Math.floor(t);
+    const month = Math.min(11, Math.floor((t - year) * 12));
+    return `${new Date(2000, month, 1).toLocaleString('en-US', { month: 'long' })} ${year}`;
+  }
+
+  const money = value => `$${Math.round(value).toLocaleString()}`;
+  const hasHomePrices = Object.keys(homePriceData).length > 0;
+
+  // Investor profit as a multiple of non-investor profit (the same in real or nominal dollars)
+  function profitRatio(profits) {
+    return profits.noninvestor > 0 ? profits.investor / profits.noninvestor : null;
+  }
+  const currentRatio = profitRatio(directProfit);
+
+  // Number of sales behind a series' value in a whole year, where the file counts them
+  function salesCountAt(key, year) {
+    if (!hasSalesCount) return null;
+    const row = csvData.find(d => d.year === year);
+    const count = row ? row[distributionKey(key, 'count')] : null;
+    return count != null ? count : null;
+  }
+  const salesLabel = count => `${count.toLocaleString()} sale${count === 1 ? '' : 's'}`;
+
+  // Sales-count channel: a badge by the cluster labels and/or ring thickness,
+  // the ring on a sqrt scale up to the busiest series-year in the file
+  const countEncoding = hasSalesCount ? config.salesCountEncoding : 'none';
+  const showCountBadge = countEncoding === 'badge' || countEncoding === 'both';
+  const ringWidth = countEncoding === 'ring' || countEncoding === 'both'
+    ? d3.scaleSqrt()
+      .domain([0, d3.max(csvData, d => d3.max(ALL_SERIES, key => d[distributionKey(key, 'count')])) || 1])
+      .range([CLUSTER_CIRCLE_STROKE_WIDTH, 14])
+    : null;
+
+  // What the live region reads out: values at the displayed whole year,
+  // so it only changes when the year does
+  function describeYear(year) {
+    const profits = scheduler.profitsAt(year);
+    const parts = clusters.map(c => c.key === 'gap'
+      ? `investor premium ${money(profits.gap)}`
+      : `${c.name.toLowerCase()} ${statLabel.toLowerCase()} profit ${money(profits[c.key])}` +
+        (salesCountAt(c.key, year) != null ? ` (${salesLabel(salesCountAt(c.key, year))})` : ''));
+    if (mode === 'gap' && profitRatio(profits) != null) {
+      parts.push(`investors earn ${profitRatio(profits).toFixed(2)} times as much`);
+    }
+    const hpi = hasHomePrices ? `, HPI ${getHomePrice(year).toFixed(2)}` : '';
+    const events = annotationsAt(annotations, year).map(a => `. ${a.title}`).join('');
+    return `${year}${regionNote}: ${parts.join(', ')}${dollarsNote}${hpi}${events}`;
+  }
+
+  // -----------------------------------------------------------
+  // Table view columns: the data rows plus the nearest HPI reading
+  // -----------------------------------------------------------
+  const tableColumns = [
+    { key: 'year', label: 'Year', value: d => d.year, format: v => v },
+    { key: 'noninvestor', label: 'Non-investor profit', value: d => d.noninvestor, format: money },
+    { key: 'investor', label: 'Investor profit', value: d => d.investor, format: money },
+    { key: 'gap', label: 'Investor premium', value: d => d.gap, format: money },
+    {
+      key: 'ratio',
+      label: 'Investor / non-investor',
+      value: profitRatio,
+      format: v => `${v.toFixed(2)}×`
+    },
+    ...(hasSegments ? INVESTOR_SEGMENTS.map(segment => ({
+      key: segment.key,
+      label: `${segment.label} profit`,
+      value: d => d[segment.key],
+      format: money
+    })) : []),
+    ...(hasSalesCount ? [['noninvestor', 'Non-investor sales'], ['investor', 'Investor sales']].map(([key, label]) => ({
+      key: distributionKey(key, 'count'),
+      label,
+      value: d => d[distributionKey(key, 'count')],
+      format: v => v.toLocaleString()
+    })) : []),
+    {
+      key: 'hpi',
+      label: 'Home Price Index (nearest)',
+      value: d => hasHomePrices ? getHomePrice(d.year) : null,
+      format: v => v.toFixed(2)
+    }
+  ];
+  const tableRows = chartData.filter(d => d.year >= Math.floor(minYear) && d.year <= maxYear);
+
+  // Sales behind each cluster's value in the displayed year (null without counts)
+  const clusterSales = Object.fromEntries(clusters.map(c => [c.key, salesCountAt(c.key, displayYear)]));
+
+  // Spread of profits behind a cluster's value in the displayed year, for
+  // the hover tooltip; null where the file has no quartiles for that series
+  function distributionAt(key) {
+    if (!hasDistribution) return null;
+    const row = chartData.find(d => d.year === displayYear);
+    const field = name => (row ? row[distributionKey(key, name)] : null);
+    if (field('q1') == null || field('q3') == null) return null;
+    return { q1: field('q1'), median: field('median'), q3: field('q3'), count: field('count') };
+  }
+
+  // The same, for a cluster's accessible label
+  function describeSpread(key) {
+    const spread = distributionAt(key);
+    if (!spread) return '';
+    return `; middle half of sales ${money(spread.q1)} to ${money(spread.q3)}`;
+  }
+
+  // Event the callout shows: the latest-starting one the slider is inside
+  const activeAnnotation = annotationsAt(annotations, currentTime).pop() || null;
+  const sliderPercent = t => ((t - minYear) / (maxYear - minYear)) * 100;
+  const sliderAnnotations = annotations.filter(a => a.end >= minYear && a.start <= maxYear);
+
+  // -----------------------------------------------------------
+  // Export (see ExportMenu.js, exportFrame.js, exportMedia.js)
+  // -----------------------------------------------------------
+  // The chart at time t, with the given bubble positions, as a standalone SVG
+  function exportFrameAt(t, frameBubbles) {
+    const year = Math.max(Math.round(t), Math.ceil(minYear));
+    const event = annotationsAt(annotations, t).pop();
+    return frameSvg({
+      width: CANVAS_WIDTH,
+      height: CANVAS_HEIGHT,
+      year,
+      bubbles: frameBubbles,
+      bubble: { radius: BUBBLE_RADIUS, color: MONEY_GREEN, fontSize: DOLLAR_SIGN_SIZE },
+      clusters: clusters.map(c => {
+        const sales = salesCountAt(c.key, year);
+        return {
+          ...c,
+          strokeWidth: ringWidth && sales != null ? ringWidth(sales) : CLUSTER_CIRCLE_STROKE_WIDTH,
+          badge: showCountBadge && c.countBadge && sales != null ? salesLabel(sales) : null
+        };
+      }),
+      house: { x: SPAWN_X, y: SPAWN_Y, label: `${statLabel} Profit Per Sale` },
+      legend: `= $${BUBBLE_VALUE.toLocaleString()}${inRealDollars ? ` (${baseYear} dollars)` : ''}`,
+      callout: event ? { title: event.title, lines: wrapWords(event.text, 42) } : null,
+      ratio: mode === 'gap' ? profitRatio(scheduler.profitsAt(t)) : null,
+      notes: annotationNotes,
+      caption: `${statLabel} profit per sale${regionNote}${dollarsNote}`,
+      citation: CITATION
+    });
+  }
+
+  // The frame on screen => SVG or PNG download
+  function exportCurrentFrame(format) {
+    const svg = exportFrameAt(currentTime, bubbles.map(b => ({ x: b.x, y: b.y, opacity: getOpacity(b) })));
+    const filename = `flowchart-${displayYear}.${format}`;
+    if (format === 'svg') {
+      downloadBlob(svgBlob(svg), filename);
+      return Promise.resolve();
+    }
+    return pngBlob(svg, frameSize(CANVAS_WIDTH, CANVAS_HEIGHT)).then(blob => downloadBlob(blob, filename));
+  }
+
+  // from..to at the playback speed, simulated off-screen => WebM download
+  function exportAnimation({ from, to, fps }, { onProgress, signal }) {
+    stopAnimation();
+    let frames;
+    try {
+      frames = createFrameSimulation(scheduler, {
+        from,
+        to,
+        fps,
+        yearsPerSecond: ANIMATION_SPEED * TICKS_PER_SECOND,
+        series: activeSeries,
+        clusterAt: key => clustersRef.current[key],
+        spawn: { x: SPAWN_X, y: SPAWN_Y },
+        recycleAt: RECYCLE_AT,
+        collisionRadius: COLLISION_RADIUS
+      });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    const total = frames.times.length;
+    return recordWebm(() => {
+      const frame = frames.next();
+      return frame && exportFrameAt(frame.t, frame.bubbles);
+    }, {
+      ...frameSize(CANVAS_WIDTH, CANVAS_HEIGHT),
+      fps,
+      signal,
+      onProgress: done => onProgress(done, total)
+    }).then(blob => downloadBlob(blob, `flowchart-${from}-${to}.webm`));
+  }
+
+  // Generate year marks for slider, one per whole year in the bounds
   const yearMarks = [];
-  for (let year = 2000; year <= 2021; year++) {
+  for (let year = Math.ceil(minYear); year < maxYear; year++) {
     yearMarks.push(year);
   }
 
-  // Get the visible min year (2000) for the slider
-  const visibleMinYear = 2000;
-
   return (
-    <div>
+    <div ref={setChartContainer} style={{ width: '100%' }} onKeyDown={handleChartKeyDown}>
       {/* Removed "FlowChart Demo" heading */}
 
+      {/* Problems with the secondary data files */}
+      {Object.values(dataWarnings).some(Boolean) && (
+        <div role="status" className="flow-data-warnings">
+          {Object.entries(dataWarnings).filter(([, message]) => message).map(([file, message]) => (
+            <p key={file}>{message}</p>
+          ))}
+        </div>
+      )}
+
+      {/* Screen reader summary of the current year */}
+      <div className="visually-hidden" aria-live="polite" aria-atomic="true">
+        {describeYear(displayYear)}
+      </div>
+
       {/* Slider for time with tick marks */}
       <div style={{ marginBottom: '1rem' }}>
-        <input
-          type="range"
-          min={visibleMinYear} // Use 2000 as minimum visible year
-          max={maxYear}
-          step={0.01}
-          value={Math.max(currentTime, visibleMinYear)} // Ensure value is never below 2000
-          onChange={(e) => setCurrentTime(+e.target.value)}
-          style={{ width: '400px' }}
-          list="year-marks"
-        />
+        <span className="flow-slider">
+          <input
+            type="range"
+            min={minYear}
+            max={maxYear}
+            step={0.01}
+            value={Math.min(Math.max(currentTime, minYear), maxYear)}
+            onChange={(e) => {
+              markInteracted();
+              setCurrentTime(+e.target.value);
+            }}
+            onKeyDown={handleSliderKeyDown}
+            aria-label="Year"
+            aria-valuetext={formatSliderTime(currentTime)}
+            style={{ width: '100%' }}
+            list="year-marks"
+          />
+          {/* Timeline event markers under the track; click to jump to an event */}
+          <span className="flow-slider__events">
+            {sliderAnnotations.map(a => {
+              const left = Math.max(0, sliderPercent(a.start));
+              const right = Math.min(100, sliderPercent(a.end));
+              return (
+                <button
+                  key={`${a.start}-${a.title}`}
+                  type="button"
+                  className={`flow-event-marker${a === activeAnnotation ? ' flow-event-marker--active' : ''}`}
+                  style={{ left: `${left}%`, width: `${right - left}%` }}
+                  title={a.title}
+                  aria-label={`Jump to ${a.title} (${formatSliderTime(a.start)})`}
+                  onClick={() => {
+                    markInteracted();
+                    stopAnimation();
+                    setCurrentTime(Math.max(a.start, minYear));
+                  }}
+                />
+              );
+            })}
+          </span>
+        </span>
         <datalist id="year-marks">
           {yearMarks.map(year => (
             <option key={year} value={year + 0.5} />
@@ -603,7 +1083,11 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
         
         {/* Play/Pause button for autoscroll */}
         <button 
-          onClick={toggleAnimation}
+          onClick={() => {
+            markInteracted();
+            toggleAnimation();
+          }}
+          aria-label={isPlaying ? 'Pause animation' : 'Play animation'}
           style={{ 
             marginLeft: '1rem',
             padding: '0.25rem 0.75rem',
@@ -620,9 +1104,11 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
         {/* Reset button */}
         <button 
           onClick={() => {
+            markInteracted();
             stopAnimation();
-            setCurrentTime(visibleMinYear); // Reset to 2000 instead of minYear
+            setCurrentTime(minYear);
           }}
+          aria-label={`Reset to ${Math.ceil(minYear)}`}
           style={{ 
             marginLeft: '0.5rem',
             padding: '0.25rem 0.75rem',
@@ -635,141 +1121,163 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
         >
           ⟲ Reset
         </button>
-      </div>
 
-      {/* Wrap the SVG and label in a positioned container */}
-      <div style={{ position: 'relative' }}>
-        {/* Add text box label for house - positioned relative to the chart */}
-        <div style={{
-          position: 'absolute',
-          right: 'calc(100% + 10px)', // Position just outside the left edge of SVG
-          top: '50%', // Align with middle of canvas (where the house is)
-          transform: 'translateY(-50%)', // Center vertically
-          width: '250px',
-          padding: '10px',
-          background: 'rgba(255, 255, 255, 0.9)',
-          border: '1px solid #ccc',
-          borderRadius: '5px',
-          boxShadow: '2px 2px 5px rgba(0,0,0,0.1)',
-          fontSize: '20px',
-          lineHeight: '1.4',
-          textAlign: 'right',
-          zIndex: 5
-        }}>
-          {/* <p style={{ margin: '0 0 8px 0', fontWeight: 'bold' }}>Hover Over House</p> */}
-          <p style={{margin: '0', fontFamily:"Helvetica Neue"}}>
-            The Case-Shiller House Price Index (HPI), computed using repeat home sales data, has been <strong>increasing year-by-year</strong>.
-          </p>
-          <div style={{
-            position: 'absolute',
-            left: '100%', // Start from right edge of the box
-            top: '50%',
-            width: '40px',
-            height: '2px',
-            background: '#666',
-            transform: 'translateY(-50%)' // Center the line
-          }}></div>
-          <div style={{
-            position: 'absolute',
-            left: 'calc(100% + 40px)', // Position at end of line
-            top: '50%',
-            width: '0',
-            height: '0',
-            borderTop: '5px solid transparent',
-            borderBottom: '5px solid transparent',
-            borderLeft: '5px solid #666',
-            transform: 'translateY(-50%)' // Center the arrowhead
-          }}></div>
-        </div>
+        {/* Export menu: still frames and video */}
+        <ExportMenu
+          minYear={minYear}
+          maxYear={maxYear}
+          onExportFrame={exportCurrentFrame}
+          onExportAnimation={exportAnimation}
+          canRecord={canRecordVideo()}
+        />
 
-        {/* Add text box label for non-investor circle */}
-        <div style={{
-          position: 'absolute',
-          left: 'calc(100% + 10px)', // Position just outside the right edge of SVG
-          top: `${clusterPositions.nonInvY * 100 / CANVAS_HEIGHT}%`, // Position at non-investor circle height
-          transform: 'translateY(-50%)', // Center vertically
-          width: '250px',
-          padding: '10px',
-          background: 'rgba(255, 255, 255, 0.9)',
-          border: '1px solid #ccc',
-          borderRadius: '5px',
-          boxShadow: '2px 2px 5px rgba(0,0,0,0.1)',
-          fontSize: '20px',
-          lineHeight: '1.4',
-          textAlign: 'left',
-          zIndex: 5
-        }}>
-          {/* <p style={{ margin: '0 0 8px 0', fontWeight: 'bold'}}>Hover Over Circle</p> */}
-          <p style={{ margin: '0', fontFamily:"Helvetica Neue"}}>
-            Consistently, sales by non-investors have seen <strong>less profit</strong> as compared to sales made by investors.
-          </p>
-          <div style={{
-            position: 'absolute',
-            right: '100%', // Start from left edge of the box
-            top: '50%',
-            width: '40px',
-            height: '2px',
-            background: 'black',
-            transform: 'translateY(-50%)' // Center the line
-          }}></div>
-          <div style={{
-            position: 'absolute',
-            right: 'calc(100% + 40px)', // Position at end of line
-            top: '50%',
-            width: '0',
-            height: '0',
-            borderTop: '5px solid transparent',
-            borderBottom: '5px solid transparent',
-            borderRight: '5px solid black',
-            transform: 'translateY(-50%)' // Center the arrowhead
-          }}></div>
-        </div>
+        {/* Investor-segment breakdown toggle */}
+        <button 
+          onClick={() => {
+            markInteracted();
+            setMode(mode === 'segments' ? 'total' : 'segments');
+          }}
+          disabled={!hasSegments}
+          aria-pressed={mode === 'segments'}
+          title={hasSegments ? undefined : 'This dataset has no investor-segment columns'}
+          style={{ 
+            marginLeft: '0.5rem',
+            padding: '0.25rem 0.75rem',
+            backgroundColor: mode === 'segments' ? '#B71C1C' : '#757575',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: hasSegments ? 'pointer' : 'not-allowed',
+            opacity: hasSegments ? 1 : 0.5
+          }}
+        >
+          {mode === 'segments' ? 'Combine Investors' : 'Split Investors'}
+        </button>
 
-        {/* Add text box label for investor circle */}
-        <div style={{
-          position: 'absolute',
-          left: 'calc(100% + 10px)', // Position just outside the right edge of SVG
-          top: `${clusterPositions.invY * 100 / CANVAS_HEIGHT}%`, // Position at investor circle height
-          transform: 'translateY(-50%)', // Center vertically
-          width: '250px',
-          padding: '10px',
-          background: 'rgba(255, 255, 255, 0.9)',
-          border: '1px solid #ccc',
-          borderRadius: '5px',
-          boxShadow: '2px 2px 5px rgba(0,0,0,0.1)',
-          fontSize: '20px',
-          lineHeight: '1.4',
-          textAlign: 'left',
-          zIndex: 5
-        }}>
-          {/* <p style={{ margin: '0 0 8px 0', fontWeight: 'bold'}}>Hover Over Circle</p> */}
-          <p style={{ margin: '0', fontFamily:"Helvetica Neue" }}>
-            This ever-growing divide demonstrates the <strong>increase in speculative investment</strong> in the Boston housing market.
-          </p>
-          <div style={{
-            position: 'absolute',
-            right: '100%', // Start from left edge of the box
-            top: '50%',
-            width: '40px',
-            height: '2px',
-            background: 'black',
-            transform: 'translateY(-50%)' // Center the line
-          }}></div>
-          <div style={{
-            position: 'absolute',
-            right: 'calc(100% + 40px)', // Position at end of line
-            top: '50%',
-            width: '0',
-            height: '0',
-            borderTop: '5px solid transparent',
-            borderBottom: '5px solid transparent',
-            borderRight: '5px solid black',
-            transform: 'translateY(-50%)' // Center the arrowhead
-          }}></div>
-        </div>
+        {/* Investor premium (gap) toggle */}
+        <button 
+          onClick={() => {
+            markInteracted();
+            setMode(mode === 'gap' ? 'total' : 'gap');
+          }}
+          aria-pressed={mode === 'gap'}
+          title="Show the investor premium and the investor / non-investor ratio"
+          style={{ 
+            marginLeft: '0.5rem',
+            padding: '0.25rem 0.75rem',
+            backgroundColor: mode === 'gap' ? '#EF6C00' : '#757575',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          {mode === 'gap' ? 'Show Totals' : 'Show Premium'}
+        </button>
+
+        {/* Nominal / real dollars toggle */}
+        <button 
+          onClick={() => {
+            markInteracted();
+            setDollars(dollars === 'real' ? 'nominal' : 'real');
+          }}
+          disabled={!realData.rows}
+          aria-pressed={inRealDollars}
+          title={realData.rows ? 'Adjust profits for inflation (CPI-U)' : (realData.error ? realData.error.message : 'Loading CPI data')}
+          style={{ 
+            marginLeft: '0.5rem',
+            padding: '0.25rem 0.75rem',
+            backgroundColor: inRealDollars ? '#2E7D32' : '#757575',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: realData.rows ? 'pointer' : 'not-allowed',
+            opacity: realData.rows ? 1 : 0.5
+          }}
+        >
+          {inRealDollars ? 'Nominal dollars' : `Real (${baseYear != null ? baseYear : '...'} dollars)`}
+        </button>
+
+        {/* Statistic picker, when the file has more than the mean */}
+        {statistics.length > 1 && (
+          <label style={{ marginLeft: '0.5rem' }}>
+            Statistic{' '}
+            <select
+              value={statistic}
+              onChange={(e) => {
+                markInteracted();
+                setStatistic(e.target.value);
+              }}
+            >
+              {STATISTICS.filter(s => statistics.includes(s.key)).map(s => (
+                <option key={s.key} value={s.key}>{s.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {/* Table view toggle */}
+        <button 
+          onClick={() => setShowTable(!showTable)}
+          aria-pressed={showTable}
+          style={{ 
+            marginLeft: '0.5rem',
+            padding: '0.25rem 0.75rem',
+            backgroundColor: showTable ? '#1A6692' : '#757575',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          {showTable ? 'View as chart' : 'View as table'}
+        </button>
+      </div>
+
+      {/* Table view, in place of the chart (which keeps running underneath) */}
+      {showTable && (
+        <DataTable
+          columns={tableColumns}
+          rows={tableRows}
+          highlightYear={displayYear}
+          caption={`${statLabel} profit per sale${regionNote}${dollarsNote} and Boston Home Price Index, ${Math.ceil(minYear)}–${Math.floor(maxYear)}`}
+        />
+      )}
+
+      {/* Wrap the SVG and label in a positioned container, sized to the scaled chart */}
+      <div style={{
+        display: showTable ? 'none' : undefined,
+        position: 'relative',
+        width: `${CANVAS_WIDTH * scale}px`,
+        height: `${CANVAS_HEIGHT * scale}px`,
+        margin: '0 auto'
+      }}>
+        {/* Annotation boxes beside the chart, when there's room */}
+        {!stacked && annotationBoxes}
 
         {/* SVG */}
-        <svg width={CANVAS_WIDTH} height={CANVAS_HEIGHT} >
+        {/* Canvas bubble layer, under the SVG chrome */}
+        {renderer === 'canvas' && (
+          <canvas
+            ref={canvasRef}
+            data-testid="flow-bubble-canvas"
+            style={{
+              position: 'absolute',
+              left: 0,
+              top: 0,
+              width: `${CANVAS_WIDTH * scale}px`,
+              height: `${CANVAS_HEIGHT * scale}px`,
+              pointerEvents: 'none'
+            }}
+          />
+        )}
+
+        <svg
+          width={CANVAS_WIDTH * scale}
+          height={CANVAS_HEIGHT * scale}
+          viewBox={`0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}`}
+          style={{ position: 'relative', display: 'block' }}
+        >
           {/* Legend in top left */}
           <g transform="translate(20, 20)">
             {/* Sample bubble */}
@@ -803,7 +1311,7 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
               fontSize="20px"
               fill="#333"
             >
-              = ${BUBBLE_VALUE.toLocaleString()}
+              = ${BUBBLE_VALUE.toLocaleString()}{inRealDollars && ` (${baseYear} dollars)`}
             </text>
           </g>
 
@@ -818,10 +1326,37 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
             fontSize="64px"
             fill="#333"
             opacity="0.7"
+            aria-hidden="true"
           >
-            {Math.round(currentTime) === 1999 ? 2000 : Math.round(currentTime)}
+            {displayYear}
           </text>
 
+          {/* Timeline event callout, while the slider is inside an event */}
+          {activeAnnotation && (() => {
+            const lines = wrapWords(activeAnnotation.text, 42);
+            return (
+              <g transform="translate(20, 95)" aria-hidden="true" pointerEvents="none">
+                <rect
+                  width={310}
+                  height={44 + lines.length * 18}
+                  rx={6}
+                  fill="white"
+                  fillOpacity={0.92}
+                  stroke="#555"
+                  strokeWidth={1}
+                />
+                <text x={12} y={24} fontFamily="Helvetica Neue" fontWeight="bold" fontSize="17px" fill="#333">
+                  {activeAnnotation.title}
+                </text>
+                <text x={12} y={48} fontFamily="Helvetica Neue" fontSize="14px" fill="#555">
+                  {lines.map((line, i) => (
+                    <tspan key={i} x={12} dy={i === 0 ? 0 : 18}>{line}</tspan>
+                  ))}
+                </text>
+              </g>
+            );
+          })()}
+
           {/* Debug info - count display - COMMENTED OUT 
           <g transform="translate(20, 60)">
             <text
@@ -844,14 +1379,14 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
               textAnchor="start"
               dominantBaseline="middle"
             >
-              Expected: {Math.round(invProfit / BUBBLE_VALUE) + Math.round(nonInvProfit / BUBBLE_VALUE)}
-              (Inv: {Math.round(invProfit / BUBBLE_VALUE)}, Non-Inv: {Math.round(nonInvProfit / BUBBLE_VALUE)})
+              Expected: {Math.round(directProfit.investor / BUBBLE_VALUE) + Math.round(directProfit.noninvestor / BUBBLE_VALUE)}
+              (Inv: {Math.round(directProfit.investor / BUBBLE_VALUE)}, Non-Inv: {Math.round(directProfit.noninvestor / BUBBLE_VALUE)})
             </text>
           </g>
           */}
 
           {/* Money bubbles - moved BEFORE the house so they appear BEHIND */}
-          {bubbles.map((b) => {
+          {renderer === 'svg' && bubbles.map((b) => {
             const opacity = getOpacity(b);
             if (opacity <= 0) return null;
             return (
@@ -879,128 +1414,160 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
             );
           })}
 
+          {/* Ratio readout under the house, in premium mode */}
+          {mode === 'gap' && currentRatio != null && (
+            <g fontFamily="Helvetica Neue" textAnchor="middle" aria-hidden="true">
+              <text x={SPAWN_X} y={SPAWN_Y + 145} fontSize="18px" fill="#333">
+                Investors earn
+              </text>
+              <text x={SPAWN_X} y={SPAWN_Y + 195} fontSize="48px" fontWeight="bold" fill="#EF6C00">
+                {currentRatio.toFixed(2)}×
+              </text>
+              <text x={SPAWN_X} y={SPAWN_Y + 225} fontSize="18px" fill="#333">
+                the non-investor profit
+              </text>
+            </g>
+          )}
+
           {/* Cluster background circles with hover effects */}
-          <g>
-            {/* Non-investor cluster */}
-            <circle
-              cx={clusterPositions.x}
-              cy={clusterPositions.nonInvY}
-              r={CLUSTER_CIRCLE_RADIUS}
-              fill="blue"
-              fillOpacity={hoverState.noninvestor ? 0.8 : 0.05}
-              stroke="blue"
-              strokeWidth={CLUSTER_CIRCLE_STROKE_WIDTH}
-              onMouseEnter={() => setHoverState(prev => ({ ...prev, noninvestor: true }))}
-              onMouseLeave={() => setHoverState(prev => ({ ...prev, noninvestor: false }))}
-              style={{ cursor: 'pointer' }}
-            />
-            
-            {/* Info tooltip indicator for non-investor circle */}
-            <g transform={`translate(${clusterPositions.x + CLUSTER_CIRCLE_RADIUS - 35}, ${clusterPositions.nonInvY + CLUSTER_CIRCLE_RADIUS - 35})`}>
-              <circle r="12" fill="white" stroke="blue" strokeWidth="1.5" />
-              <text
-                textAnchor="middle"
+          {clusters.map(cluster => (
+            <g key={cluster.key}>
+              <circle
+                cx={cluster.x}
+                cy={cluster.y}
+                r={cluster.r}
+                fill={cluster.color}
+                fillOpacity={selection === cluster.key ? 0.8 : 0.05}
+                stroke={cluster.color}
+                strokeWidth={ringWidth && clusterSales[cluster.key] != null
+                  ? ringWidth(clusterSales[cluster.key])
+                  : CLUSTER_CIRCLE_STROKE_WIDTH}
+                onMouseEnter={() => setHover(cluster.key, true)}
+                onMouseLeave={() => setHover(cluster.key, false)}
+                // Focus shows the same counter as hover
+                tabIndex={0}
+                role="img"
+                aria-label={`${cluster.label}: ${cluster.counterLabel.toLowerCase()} $${Math.round(directProfit[cluster.key]).toLocaleString()}${dollarsNote} in ${displayYear}${regionNote}` +
+                  (clusterSales[cluster.key] != null ? `, from ${salesLabel(clusterSales[cluster.key])}` : '') +
+                  describeSpread(cluster.key)}
+                onFocus={() => setHover(cluster.key, true)}
+                onBlur={() => setHover(cluster.key, false)}
+                className="flow-focusable"
+                style={{ cursor: 'pointer' }}
+              />
+              
+              {/* Info tooltip indicator */}
+              <g transform={`translate(${cluster.x + cluster.r * 0.74}, ${cluster.y + cluster.r * 0.74})`} aria-hidden="true">
+                <circle r="12" fill="white" stroke={cluster.color} strokeWidth="1.5" />
+                <text
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontSize="20px"
+                  fontFamily="Helvetica Neue"
+                  fontWeight="bold"
+                  fill={cluster.color}
+                  style={{ pointerEvents: "none" }}
+                  dy="2" // Added 2px downward shift
+                >
+                  i
+                </text>
+              </g>
+              
+              {/* Profit counter - only visible on hover */}
+              <text 
+                x={cluster.x} 
+                y={cluster.y}
+                textAnchor="middle" 
                 dominantBaseline="middle"
-                fontSize="20px"
                 fontFamily="Helvetica Neue"
                 fontWeight="bold"
-                fill="blue"
-                style={{ pointerEvents: "none" }}
-                dy="2" // Added 2px downward shift
+                fontSize={`${cluster.counterSize}px`}
+                fill="white"
+                opacity={selection === cluster.key ? 1 : 0}
+                pointerEvents="none"
+                aria-hidden="true"
               >
-                i
+                {cluster.counterLabel}: ${Math.round(directProfit[cluster.key]).toLocaleString()}
               </text>
-            </g>
-            
-            {/* Non-investor profit counter - only visible on hover */}
-            <text 
-              x={clusterPositions.x} 
-              y={clusterPositions.nonInvY}
-              textAnchor="middle" 
-              dominantBaseline="middle"
-              fontFamily="Helvetica Neue"
-              fontWeight="bold"
-              fontSize="18px"
-              fill="white"
-              opacity={hoverState.noninvestor ? 1 : 0}
-              pointerEvents="none"
-            >
-              Non-Investor Profit: ${Math.round(nonInvProfit).toLocaleString()}
-            </text>
+              {counterNote && (
+                <text
+                  x={cluster.x}
+                  y={cluster.y + cluster.counterSize + 4}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontFamily="Helvetica Neue"
+                  fontSize={`${cluster.counterSize - 4}px`}
+                  fill="white"
+                  opacity={selection === cluster.key ? 1 : 0}
+                  pointerEvents="none"
+                  aria-hidden="true"
+                >
+                  ({counterNote})
+                </text>
+              )}
+              {clusterSales[cluster.key] != null && (
+                <text
+                  x={cluster.x}
+                  y={cluster.y + (counterNote ? 2 : 1) * (cluster.counterSize + 4)}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontFamily="Helvetica Neue"
+                  fontSize={`${cluster.counterSize - 4}px`}
+                  fill="white"
+                  opacity={selection === cluster.key ? 1 : 0}
+                  pointerEvents="none"
+                  aria-hidden="true"
+                >
+                  Number of sales: {clusterSales[cluster.key].toLocaleString()}
+                </text>
+              )}
 
-            {/* Investor cluster */}
-            <circle
-              cx={clusterPositions.x}
-              cy={clusterPositions.invY}
-              r={CLUSTER_CIRCLE_RADIUS}
-              fill="red"
-              fillOpacity={hoverState.investor ? 0.8 : 0.05}
-              stroke="red"
-              strokeWidth={CLUSTER_CIRCLE_STROKE_WIDTH}
-              onMouseEnter={() => setHoverState(prev => ({ ...prev, investor: true }))}
-              onMouseLeave={() => setHoverState(prev => ({ ...prev, investor: false }))}
-              style={{ cursor: 'pointer' }}
-            />
-            
-            {/* Info tooltip indicator for investor circle */}
-            <g transform={`translate(${clusterPositions.x + CLUSTER_CIRCLE_RADIUS - 35}, ${clusterPositions.invY + CLUSTER_CIRCLE_RADIUS - 35})`}>
-              <circle r="12" fill="white" stroke="red" strokeWidth="1.5" />
-              <text
-                textAnchor="middle"
+              {/* Cluster label - below the circle, or above it for the top row of segments */}
+              <text 
+                x={cluster.x} 
+                y={cluster.labelAbove ? cluster.y - cluster.r - 14 : cluster.y + cluster.r + 20}
+                textAnchor="middle" 
                 dominantBaseline="middle"
-                fontSize="20px"
                 fontFamily="Helvetica Neue"
                 fontWeight="bold"
-                fill="red"
-                style={{ pointerEvents: "none" }}
-                dy="2" // Added 2px downward shift
+                fontSize={`${cluster.labelSize}px`}
+                fill={cluster.color}
               >
-                i
+                {cluster.label}
+                {/* Sales-count badge; the 2x2 segment labels have no room for one */}
+                {showCountBadge && cluster.countBadge && clusterSales[cluster.key] != null && (
+                  <tspan fontWeight="normal" fontSize={`${cluster.labelSize - 6}px`} fill="#555">
+                    {' · '}{salesLabel(clusterSales[cluster.key])}
+                  </tspan>
+                )}
               </text>
             </g>
-            
-            {/* Investor profit counter - only visible on hover */}
-            <text 
-              x={clusterPositions.x} 
-              y={clusterPositions.invY}
-              textAnchor="middle" 
-              dominantBaseline="middle"
-              fontFamily="Helvetica Neue"
-              fontWeight="bold"
-              fontSize="18px"
-              fill="white"
-              opacity={hoverState.investor ? 1 : 0}
-              pointerEvents="none"
-            >
-              Investor Profit: ${Math.round(invProfit).toLocaleString()}
-            </text>
-          </g>
+          ))}
 
-          {/* Cluster labels - moved below circles and linked to circle positions */}
-          <text 
-            x={clusterPositions.x} 
-            y={clusterPositions.nonInvY + CLUSTER_CIRCLE_RADIUS + 20}
-            textAnchor="middle" 
-            dominantBaseline="middle"
-            fontFamily="Helvetica Neue"
-            fontWeight="bold"
-            fontSize="22px"
-            fill="blue"
-          >
-            Non-Investor Average
-          </text>
-          <text 
-            x={clusterPositions.x} 
-            y={clusterPositions.invY + CLUSTER_CIRCLE_RADIUS + 20}
-            textAnchor="middle" 
-            dominantBaseline="middle"
-            fontFamily="Helvetica Neue"
-            fontWeight="bold"
-            fontSize="22px"
-            fill="red"
-          >
-            Investor Average
-          </text>
+          {/* Distribution tooltip for the hovered cluster, left of it and above the bubbles */}
+          {clusters.map(cluster => {
+            const spread = selection === cluster.key ? distributionAt(cluster.key) : null;
+            if (!spread) return null;
+            const width = 200;
+            const left = cluster.x - cluster.r - width - 12;
+            return (
+              <g
+                key={`${cluster.key}-distribution`}
+                transform={`translate(${left}, ${cluster.y - 50})`}
+                fontFamily="Helvetica Neue"
+                fontSize="14px"
+                fill="#333"
+                pointerEvents="none"
+                aria-hidden="true"
+              >
+                <rect width={width} height={100} rx={6} fill="white" stroke={cluster.color} strokeWidth={1.5} opacity={0.95} />
+                <text x={12} y={22} fontWeight="bold" fill={cluster.color}>{cluster.name}, {displayYear}</text>
+                <text x={12} y={44}>Middle half: {money(spread.q1)} – {money(spread.q3)}</text>
+                {spread.median != null && <text x={12} y={64}>Median: {money(spread.median)}</text>}
+                {spread.count != null && <text x={12} y={84}>{spread.count.toLocaleString()} sales</text>}
+              </g>
+            );
+          })}
 
           {/* House emoji at spawning point with hover effect - moved AFTER money bubbles so it appears ON TOP */}
           <g>
@@ -1017,12 +1584,19 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
               }}
               onMouseEnter={() => setHoverState(prev => ({ ...prev, house: true }))}
               onMouseLeave={() => setHoverState(prev => ({ ...prev, house: false }))}
+              // Focus shows the same index as hover; the emoji itself isn't read out
+              tabIndex={0}
+              role="img"
+              aria-label={`Boston Home Price Index: ${getHomePrice().toFixed(2)}`}
+              onFocus={() => setHover('house', true)}
+              onBlur={() => setHover('house', false)}
+              className="flow-focusable"
             >
-              🏠
+              <tspan aria-hidden="true">🏠</tspan>
             </text>
             
             {/* Info tooltip indicator for house */}
-            <g transform={`translate(${SPAWN_X + 40}, ${SPAWN_Y + 40})`}>
+            <g transform={`translate(${SPAWN_X + 40}, ${SPAWN_Y + 40})`} aria-hidden="true">
               <circle r="12" fill="white" stroke="#666" strokeWidth="1.5" />
               <text
                 textAnchor="middle"
@@ -1079,12 +1653,37 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
               fontSize="24px"
               fill="#333"
             >
-              Average Profit Per Sale
+              {statLabel} Profit Per Sale
             </text>
           </g>
         </svg>
       </div>
       
+      {/* HPI and profit trend, synced to the slider */}
+      {!showTable && (
+        <div style={{ width: `${CANVAS_WIDTH * scale}px`, margin: '0.5rem auto 0' }}>
+          <TrendPanel
+            width={CANVAS_WIDTH}
+            scale={scale}
+            hpi={hpiSeries}
+            profits={chartData}
+            series={clusters.map(c => ({ key: c.key, label: c.label, color: c.color }))}
+            highlight={selection}
+            currentTime={currentTime}
+            minYear={minYear}
+            maxYear={maxYear}
+            onTimeChange={t => {
+              markInteracted();
+              stopAnimation();
+              setCurrentTime(t);
+            }}
+          />
+        </div>
+      )}
+
+      {/* Annotation boxes stacked under the chart on narrow screens */}
+      {stacked && !showTable && <div className="flow-annotations--stacked">{annotationBoxes}</div>}
+
       {/* Citation sources */}
       <div style={{ 
         marginTop: '20px', 
@@ -1093,10 +1692,7 @@ function FlowChart({ csvUrl = `${process.env.PUBLIC_URL}/mapc_region_residential
         fontStyle: 'italic',
         textAlign: 'center'
       }}>
-        <p>
-          Data sources: MAPC Region Residential Sales (2000-2022), 
-          S&P CoreLogic Case-Shiller MA-Boston Home Price Index (1987-2024)
-        </p>
+        <p>{CITATION}</p>
       </div>
     </div>
   );
@@ -0,0 +1,126 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import FlowChart from './chart';
+import { createSiteStore, SiteStoreProvider } from '../store/siteStore';
+import { loadFlowData } from './flowData';
+import { loadCpi } from './inflation';
+import { loadTable } from './dataLoader';
+
+jest.mock('./flowData', () => ({ ...jest.requireActual('./flowData'), loadFlowData: jest.fn() }));
+jest.mock('./inflation', () => ({ ...jest.requireActual('./inflation'), loadCpi: jest.fn() }));
+jest.mock('./dataLoader', () => ({ ...jest.requireActual('./dataLoader'), loadTable: jest.fn() }));
+// Only row-level sales files use the worker
+jest.mock('./createAggregateWorker', () => ({ createAggregateWorker: jest.fn() }));
+
+const row = (year, investor, noninvestor) => ({
+  year, investor, noninvestor, gap: investor - noninvestor, small: 0, medium: 0, large: 0, institutional: 0
+});
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+  loadFlowData.mockResolvedValue({
+    data: [row(2000, 20000, 10000), row(2001, 30000, 15000), row(2002, 25000, 20000)],
+    hasSegments: false,
+    statistics: ['mean'],
+    hasDistribution: false,
+    hasSalesCount: false,
+    problems: []
+  });
+  loadCpi.mockResolvedValue({ cpi: {}, problems: [] });
+  loadTable.mockResolvedValue({ rows: [], problems: [] });
+});
+
+function renderChart(store = createSiteStore(), props = {}) {
+  render(
+    <SiteStoreProvider store={store}>
+      <FlowChart sectionId="viz" annotationsUrl={null} {...props} />
+    </SiteStoreProvider>
+  );
+  return store;
+}
+
+// Go to `hash` as Back / Forward would
+function popTo(hash) {
+  act(() => {
+    window.history.replaceState(null, '', hash);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+}
+
+// The chart once its data is in
+async function loadedChart(store, props) {
+  renderChart(store, props);
+  await screen.findByRole('button', { name: 'Play animation' });
+  return store;
+}
+
+const houseIndexShown = () => screen.getByText('Boston Home Price Index:').getAttribute('opacity') === '1';
+
+test('Back and Forward restore the mode and focus, defaults included', async () => {
+  const store = await loadedChart(createSiteStore());
+
+  popTo('#viz?year=2001&mode=gap&focus=investor');
+  expect(screen.getByRole('button', { name: 'Show Totals' })).toBeInTheDocument();
+  expect(store.getState().selection).toBe('investor');
+
+  // An entry saved in total mode with nothing highlighted
+  popTo('#viz?year=2001');
+  expect(screen.getByRole('button', { name: 'Show Premium' })).toBeInTheDocument();
+  expect(store.getState().selection).toBeNull();
+
+  popTo('#viz?year=2001&focus=house');
+  expect(houseIndexShown()).toBe(true);
+  expect(store.getState().selection).toBeNull();
+
+  popTo('#viz?year=2001&mode=gap');
+  expect(houseIndexShown()).toBe(false);
+  expect(screen.getByRole('button', { name: 'Show Totals' })).toBeInTheDocument();
+});
+
+test('writes the house focus, and total mode, back to the URL', async () => {
+  await loadedChart(createSiteStore());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Show Premium' }));
+  await waitFor(() => expect(window.location.hash).toBe('#viz?year=2000&mode=gap'));
+
+  fireEvent.focus(screen.getByRole('img', { name: /^Boston Home Price Index: / }));
+  await waitFor(() => expect(window.location.hash).toBe('#viz?year=2000&mode=gap&focus=house'));
+
+  fireEvent.blur(screen.getByRole('img', { name: /^Boston Home Price Index: / }));
+  fireEvent.click(screen.getByRole('button', { name: 'Show Totals' }));
+  await waitFor(() => expect(window.location.hash).toBe('#viz?year=2000'));
+});
+
+test('years driven by the scroll story leave the URL alone', async () => {
+  const store = await loadedChart(createSiteStore());
+
+  act(() => store.setState({ year: 2001.5 }));
+  expect(screen.getByRole('slider')).toHaveValue('2001.5');
+  await act(() => new Promise(resolve => setTimeout(resolve, 500)));
+  expect(window.location.hash).toBe('');
+});
+
+test('a year or highlight from another chart leaves this chart\'s URL alone', async () => {
+  const store = await loadedChart(createSiteStore());
+  fireEvent.click(screen.getByRole('button', { name: 'Show Premium' }));
+  await waitFor(() => expect(window.location.hash).toBe('#viz?year=2000&mode=gap'));
+
+  // e.g. a click in the small multiples
+  act(() => store.setState({ year: 2001.5, selection: 'noninvestor' }));
+  expect(screen.getByRole('slider')).toHaveValue('2001.5');
+  await act(() => new Promise(resolve => setTimeout(resolve, 500)));
+  expect(window.location.hash).toBe('#viz?year=2000&mode=gap');
+});
+
+test('with the canvas renderer, hovering finds the cluster through the SVG above the canvas', async () => {
+  const ctx = new Proxy({}, { get: (target, name) => target[name] || (target[name] = jest.fn()) });
+  const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+  const store = await loadedChart(createSiteStore(), { renderer: 'canvas' });
+
+  await waitFor(() => expect(ctx.arc).toHaveBeenCalled());
+  // The bubbles are paint only: pointer events go through to the clusters
+  expect(screen.getByTestId('flow-bubble-canvas')).toHaveStyle({ pointerEvents: 'none' });
+
+  fireEvent.mouseEnter(screen.getByRole('img', { name: /^Non-Investor Average/ }));
+  expect(store.getState().selection).toBe('noninvestor');
+  getContext.mockRestore();
+});
@@ -0,0 +1,45 @@
+import { ALL_SERIES } from './flowData';
+
+/**
+ * FlowChart URL state
+ *
+ * What FlowChart keeps in its section's hash, e.g.
+ * "#viz?year=2008.5&mode=segments&focus=investor", and how it's read back.
+ * Whatever comes in from a hash is checked: a value the chart can't show is
+ * left out rather than applied.
+ */
+
+// What `focus` can name: a series, or the house
+export const FOCUS_KEYS = [...ALL_SERIES, 'house'];
+
+// Chart state => hash params, defaults left out
+export function toChartParams({ year, mode, dollars, statistic, focus }) {
+  return {
+    year: year == null ? null : Math.round(year * 100) / 100,
+    mode: mode === 'total' ? null : mode,
+    dollars: dollars === 'real' ? dollars : null,
+    stat: statistic !== 'mean' ? statistic : null,
+    focus: FOCUS_KEYS.includes(focus) ? focus : null
+  };
+}
+
+/**
+ * Hash params => { year, mode, dollars, statistic, focus }. `year` is
+ * clamped to minYear..maxYear, and left out when the params have none.
+ * Everything else falls back to its default, as toChartParams leaves
+ * defaults out: a link without `mode` is in total mode, one without
+ * `focus` (null) highlights nothing.
+ */
+export function fromChartParams(params, { minYear, maxYear, hasSegments, statistics }) {
+  const state = {
+    mode: params.mode === 'gap' || (params.mode === 'segments' && hasSegments) ? params.mode : 'total',
+    dollars: params.dollars === 'real' ? 'real' : 'nominal',
+    statistic: statistics.includes(params.stat) ? params.stat : 'mean',
+    focus: FOCUS_KEYS.includes(params.focus) ? params.focus : null
+  };
+  const year = parseFloat(params.year);
+  if (Number.isFinite(year)) {
+    state.year = Math.min(Math.max(year, minYear), maxYear);
+  }
+  return state;
+}
@@ -0,0 +1,29 @@
+import { formatHash, parseHash } from '../../urlState';
+import { fromChartParams, toChartParams } from './chartUrlState';
+
+const bounds = { minYear: 2000, maxYear: 2020, hasSegments: true, statistics: ['mean', 'median'] };
+
+test('round-trips chart state, focus included, through the hash', () => {
+  const state = { year: 2008.5, mode: 'segments', dollars: 'real', statistic: 'median', focus: 'investor' };
+  const hash = formatHash('viz', toChartParams(state));
+  expect(hash).toBe('#viz?year=2008.5&mode=segments&dollars=real&stat=median&focus=investor');
+  expect(fromChartParams(parseHash(hash).params, bounds)).toEqual(state);
+
+  const house = formatHash('viz', toChartParams({ ...state, focus: 'house' }));
+  expect(fromChartParams(parseHash(house).params, bounds).focus).toBe('house');
+});
+
+test('leaves defaults out of the hash, and reads them back', () => {
+  const state = { year: 2010, mode: 'total', dollars: 'nominal', statistic: 'mean', focus: null };
+  const hash = formatHash('viz', toChartParams(state));
+  expect(hash).toBe('#viz?year=2010');
+  expect(fromChartParams(parseHash(hash).params, bounds)).toEqual(state);
+});
+
+test('ignores values the chart cannot show', () => {
+  const { params } = parseHash('#viz?year=1990&mode=segments&stat=max&focus=%3Cscript%3E');
+  expect(fromChartParams(params, { ...bounds, hasSegments: false })).toEqual({
+    year: 2000, mode: 'total', dollars: 'nominal', statistic: 'mean', focus: null
+  });
+  expect(toChartParams({ year: 2010, focus: 'nobody' }).focus).toBeNull();
+});
@@ -0,0 +1,8 @@
+/**
+ * Starts the aggregation worker (aggregate.worker.js). On its own so the
+ * bundler sees the `new Worker(new URL(...))` form it splits workers out by,
+ * and so tests, which can't load `import.meta`, can swap it for a fake.
+ */
+export function createAggregateWorker() {
+  return new Worker(new URL('./aggregate.worker.js', import.meta.url));
+}
@@ -0,0 +1,122 @@
+import * as d3 from 'd3';
+
+/**
+ * Data loading
+ *
+ * Fetches a CSV or JSON table and checks it against a schema before any
+ * chart sees it, so a renamed column or a stray "n/a" is reported (with the
+ * file, row and column) instead of turning into NaN bubbles.
+ *
+ * A schema is a list of fields:
+ *   { key, column, required = false, blank = null }
+ * `key` is the property on the output row, `column` the header in the file.
+ * Blank cells take the field's `blank` value; in a required field with no
+ * `blank`, or if a value isn't a number, the cell is reported as a problem
+ * and (for required fields) the row is dropped.
+ */
+
+// File name for messages: ".../public/hpi.csv?v=2" => "hpi.csv"
+export function sourceName(url) {
+  return String(url).split('?')[0].split('/').pop() || String(url);
+}
+
+// "1,234.5", " $5000 " => number; blank => null; anything else => NaN
+export function toNumber(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return value;
+  const str = String(value).trim().replace(/^\$/, '').replace(/,/g, '');
+  if (str === '') return null;
+  return Number.isFinite(+str) ? +str : NaN;
+}
+
+/**
+ * Check `records` (objects keyed by column name) against `schema`.
+ *
+ * Returns { rows, problems, columns }: `problems` are strings like
+ * 'sales.csv row 4, column "year": "20O1" is not a number', for callers to
+ * surface. Throws an Error naming the file when a required column is
+ * missing or no usable row is left.
+ */
+export function validateTable(records, schema, source, columns = null) {
+  const found = columns || [...new Set(records.flatMap(r => Object.keys(r)))];
+
+  const missing = schema.filter(f => f.required && !found.includes(f.column));
+  if (missing.length) {
+    const names = missing.map(f => `"${f.column}"`).join(', ');
+    throw new Error(`${source}: missing required column${missing.length > 1 ? 's' : ''} ${names} ` +
+      `(found: ${found.join(', ') || 'none'}).`);
+  }
+  if (!records.length) {
+    throw new Error(`${source}: the file has no data rows.`);
+  }
+
+  const problems = [];
+  const rows = [];
+  records.forEach((record, i) => {
+    const row = {};
+    let usable = true;
+    schema.forEach(field => {
+      const raw = record[field.column];
+      const value = toNumber(raw);
+      const where = `${source} row ${i + 1}, column "${field.column}"`;
+
+      if (value === null) {
+        if (field.blank !== undefined || !field.required) {
+          row[field.key] = field.blank !== undefined ? field.blank : null;
+        } else {
+          problems.push(`${where}: is blank`);
+          usable = false;
+        }
+      } else if (Number.isNaN(value)) {
+        problems.push(`${where}: "${raw}" is not a number`);
+        if (field.required) usable = false;
+        row[field.key] = null;
+      } else {
+        row[field.key] = value;
+      }
+    });
+    if (usable) rows.push(row);
+  });
+
+  if (!rows.length) {
+    throw new Error(`${source}: no usable rows (${problems[0]}).`);
+  }
+
+  return { rows, problems, columns: found };
+}
+
+/**
+ * Parse file text as CSV or JSON and validate it. JSON may be an array of
+ * records or { rows: [...] }.
+ */
+export function parseTable(text, format, schema, source) {
+  if (format === 'json') {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${source}: not valid JSON (${error.message}).`);
+    }
+    const records = Array.isArray(json) ? json : json && json.rows;
+    if (!Array.isArray(records)) {
+      throw new Error(`${source}: expected an array of records or { "rows": [...] }.`);
+    }
+    return validateTable(records, schema, source);
+  }
+
+  const records = d3.csvParse(text);
+  return validateTable(records, schema, source, records.columns);
+}
+
+/**
+ * Fetch `url` (CSV, or JSON if it ends in .json) and validate it against
+ * `schema`. Network failures reject with the file name in the message.
+ */
+export function loadTable(url, schema) {
+  const source = sourceName(url);
+  const format = /\.json$/i.test(url.split('?')[0]) ? 'json' : 'csv';
+  return d3.text(url).then(
+    text => parseTable(text, format, schema, source),
+    error => { throw new Error(`${source}: could not be loaded (${error.message}).`); }
+  );
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { parseTable, sourceName, toNumber } from './dataLoader';
+import { SALES_SCHEMA } from './flowData';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+}
+
+function parseFixture(name) {
+  return parseTable(fixture(name), name.endsWith('.json') ? 'json' : 'csv', SALES_SCHEMA, name);
+}
+
+test('coerces numbers, money strings and blanks', () => {
+  expect(toNumber('1,234.5')).toBe(1234.5);
+  expect(toNumber(' $5000 ')).toBe(5000);
+  expect(toNumber('')).toBeNull();
+  expect(toNumber(undefined)).toBeNull();
+  expect(toNumber('n/a')).toBeNaN();
+  expect(sourceName('/site/public/hpi.csv?v=2')).toBe('hpi.csv');
+});
+
+test('names the file and column when a required column is missing', () => {
+  expect(() => parseFixture('sales_missing_column.csv')).toThrow(
+    'sales_missing_column.csv: missing required column "total investor profit" ' +
+    '(found: year, noninvestor profit, mean profit diff).'
+  );
+});
+
+test('drops and reports bad rows, keeping the good ones', () => {
+  const { rows, problems } = parseFixture('sales_bad_rows.csv');
+
+  expect(rows.map(r => r.year)).toEqual([2000, 2004, 2005]);
+  expect(rows[1]).toMatchObject({ noninvestor: 101500, investor: 182000, small: null });
+  // A bad optional value is blanked, not fatal
+  expect(rows[2].gap).toBeNull();
+  expect(problems).toEqual([
+    'sales_bad_rows.csv row 2, column "year": "20O1" is not a number',
+    'sales_bad_rows.csv row 3, column "noninvestor profit": "n/a" is not a number',
+    'sales_bad_rows.csv row 4, column "noninvestor profit": is blank',
+    'sales_bad_rows.csv row 6, column "mean profit diff": "oops" is not a number'
+  ]);
+});
+
+test('fails when no row is usable', () => {
+  expect(() => parseFixture('sales_no_usable_rows.csv')).toThrow(
+    'sales_no_usable_rows.csv: no usable rows (sales_no_usable_rows.csv row 1, column "year": "abc" is not a number).'
+  );
+});
+
+test('handles the blank segment cells in the dummy CSV', () => {
+  const file = path.join(__dirname, '../../../../boston_residential_sales_dummy.csv');
+  const { rows, problems } = parseTable(fs.readFileSync(file, 'utf8'), 'csv', SALES_SCHEMA, 'dummy.csv');
+
+  expect(problems).toEqual([]);
+  expect(rows[0]).toMatchObject({ year: 2000, investor: 150000, noninvestor: 100000, small: null });
+});
+
+test('reads JSON records and reports broken JSON', () => {
+  const { rows } = parseFixture('sales.json');
+  expect(rows.map(r => r.year)).toEqual([2001, 2000]);
+  expect(rows[1].large).toBeNull();
+
+  expect(() => parseFixture('sales_truncated.json')).toThrow(/^sales_truncated\.json: not valid JSON/);
+  expect(() => parseTable('{"data": []}', 'json', SALES_SCHEMA, 'x.json')).toThrow(/expected an array of records/);
+});
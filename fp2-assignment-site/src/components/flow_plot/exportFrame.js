@@ -0,0 +1,203 @@
+/**
+ * FlowChart export frames
+ *
+ * Builds one frame of FlowChart as a standalone SVG document, for the export
+ * menu's SVG, PNG and video output. On the page the annotation boxes and the
+ * citation are HTML around the chart; here they are drawn into the image,
+ * in side panels and a footer, so slides and briefs get the whole figure.
+ *
+ * A frame is described by a plain object (see frameSvg) rather than read off
+ * the live DOM, so video frames can be drawn for any year, from bubble
+ * positions simulated off-screen (bubbleSimulation.js).
+ */
+
+// Width of the side panels holding the annotation boxes, and the footer height
+export const PANEL_WIDTH = 280;
+export const FOOTER_HEIGHT = 70;
+
+const FONT = 'Helvetica Neue, Helvetica, Arial, sans-serif';
+const NOTE_WIDTH = 250;
+const NOTE_FONT_SIZE = 18;
+const NOTE_LINE_HEIGHT = 25;
+const NOTE_CHARS = 24;
+
+// Size of a frame's SVG document for a width x height chart
+export function frameSize(width, height) {
+  return { width: width + 2 * PANEL_WIDTH, height: height + FOOTER_HEIGHT };
+}
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// SVG attributes from an object, skipping null / undefined values
+function attrs(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+/**
+ * Word-wrap text made of runs ({ text, bold }), keeping each word's weight.
+ * Lines only break at whitespace, so "year</strong>." stays together.
+ * Returns lines of runs, adjacent words of the same weight merged.
+ */
+export function wrapRuns(runs, maxChars) {
+  const words = [];
+  let pendingSpace = false;
+  runs.forEach(run => {
+    run.text.split(/\s+/).forEach((text, i) => {
+      if (i > 0) pendingSpace = true;
+      if (!text) return;
+      words.push({ text, bold: !!run.bold, space: words.length > 0 && pendingSpace });
+      pendingSpace = false;
+    });
+  });
+
+  const lines = [];
+  let line = [];
+  let length = 0;
+  words.forEach(word => {
+    if (line.length && word.space && length + 1 + word.text.length > maxChars) {
+      lines.push(line);
+      line = [];
+      length = 0;
+    }
+    const space = word.space && line.length ? ' ' : '';
+    const last = line[line.length - 1];
+    if (last && last.bold === word.bold) {
+      last.text += space + word.text;
+    } else {
+      // The space before a change of weight goes with the previous run
+      if (last) last.text += space;
+      line.push({ text: word.text, bold: word.bold });
+    }
+    length += space.length + word.text.length;
+  });
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+function textLines(lines, { x, y, lineHeight, anchor = 'start', ...rest }) {
+  const spans = lines.map((line, i) => {
+    const runs = Array.isArray(line) ? line : [{ text: line }];
+    const content = runs.map(run => run.bold
+      ? `<tspan font-weight="bold">${escapeXml(run.text)}</tspan>`
+      : escapeXml(run.text)).join('');
+    return `<tspan${attrs({ x, dy: i === 0 ? 0 : lineHeight })}>${content}</tspan>`;
+  }).join('');
+  return `<text${attrs({ x, y, 'text-anchor': anchor, 'font-family': FONT, ...rest })}>${spans}</text>`;
+}
+
+// An annotation box beside the chart with its arrow, like .flow-annotation on the page
+function noteBox(note, chartWidth) {
+  const lines = wrapRuns(note.runs, NOTE_CHARS);
+  const height = 20 + lines.length * NOTE_LINE_HEIGHT;
+  const top = note.y - height / 2;
+  const left = note.side === 'left' ? 10 : PANEL_WIDTH + chartWidth + 20;
+  const arrowFrom = note.side === 'left' ? left + NOTE_WIDTH : left;
+  const arrowTo = note.side === 'left' ? PANEL_WIDTH + 10 : PANEL_WIDTH + chartWidth - 10;
+  const head = note.side === 'left' ? -8 : 8;
+  const color = note.arrowColor || '#333';
+  return [
+    `<rect${attrs({ x: left, y: top, width: NOTE_WIDTH, height, rx: 5, fill: 'white', 'fill-opacity': 0.9, stroke: '#ccc' })}/>`,
+    textLines(lines, {
+      x: note.side === 'left' ? left + NOTE_WIDTH - 10 : left + 10,
+      y: top + 10 + NOTE_FONT_SIZE,
+      lineHeight: NOTE_LINE_HEIGHT,
+      anchor: note.side === 'left' ? 'end' : 'start',
+      'font-size': `${NOTE_FONT_SIZE}px`,
+      fill: '#222'
+    }),
+    `<line${attrs({ x1: arrowFrom, y1: note.y, x2: arrowTo, y2: note.y, stroke: color, 'stroke-width': 2 })}/>`,
+    `<path${attrs({ d: `M${arrowTo},${note.y} l${head},-6 v12 z`, fill: color })}/>`
+  ].join('');
+}
+
+/**
+ * One frame as a standalone SVG document string.
+ *
+ * frame: {
+ *   width, height       the chart's design size (config.width / height)
+ *   year                the big year label
+ *   bubbles             [{ x, y, opacity }] in chart coordinates
+ *   bubble              { radius, color, fontSize }
+ *   clusters            [{ x, y, r, color, label, labelSize, labelAbove, strokeWidth, badge }]
+ *   house               { x, y, label }
+ *   legend              text after the sample bubble, e.g. "= $5,000"
+ *   callout             { title, lines } of the active timeline event, or null
+ *   ratio               investor / non-investor multiple for premium mode, or null
+ *   notes               [{ side: 'left'|'right', y, arrowColor, runs: [{ text, bold }] }]
+ *   caption, citation   the footer's two lines: what's shown, and the sources
+ * }
+ */
+export function frameSvg(frame) {
+  const { width, height, bubble } = frame;
+  const { width: totalWidth, height: totalHeight } = frameSize(width, height);
+  const parts = [];
+
+  parts.push(`<rect width="${totalWidth}" height="${totalHeight}" fill="white"/>`);
+  (frame.notes || []).forEach(note => parts.push(noteBox(note, width)));
+
+  // The chart itself, in its design coordinates
+  const chart = [];
+  const legendY = height - bubble.radius * 7.2;
+  chart.push(`<g transform="translate(20, 20)">` +
+    `<circle${attrs({ cx: bubble.radius * 2, cy: legendY, r: bubble.radius * 2, fill: bubble.color })}/>` +
+    `<text${attrs({ x: bubble.radius * 2, y: legendY, 'text-anchor': 'middle', 'dominant-baseline': 'central', fill: 'white', 'font-size': '28px', 'font-weight': 'bold', 'font-family': FONT })}>$</text>` +
+    `<text${attrs({ x: bubble.radius * 2 + 20, y: height - bubble.radius * 7, 'dominant-baseline': 'middle', 'font-weight': 'bold', 'font-family': FONT, 'font-size': '20px', fill: '#333' })}>${escapeXml(frame.legend)}</text>` +
+    `</g>`);
+
+  chart.push(`<text${attrs({ x: width / 2, y: 50, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-family': FONT, 'font-weight': 'bold', 'font-size': '64px', fill: '#333', opacity: 0.7 })}>${escapeXml(frame.year)}</text>`);
+
+  if (frame.callout) {
+    const { title, lines } = frame.callout;
+    chart.push(`<g transform="translate(20, 95)">` +
+      `<rect${attrs({ width: 310, height: 44 + lines.length * 18, rx: 6, fill: 'white', 'fill-opacity': 0.92, stroke: '#555' })}/>` +
+      `<text${attrs({ x: 12, y: 24, 'font-family': FONT, 'font-weight': 'bold', 'font-size': '17px', fill: '#333' })}>${escapeXml(title)}</text>` +
+      textLines(lines, { x: 12, y: 48, lineHeight: 18, 'font-size': '14px', fill: '#555' }) +
+      `</g>`);
+  }
+
+  frame.bubbles.forEach(b => {
+    if (!(b.opacity > 0) || b.x == null || b.y == null) return;
+    chart.push(`<circle${attrs({ cx: b.x, cy: b.y, r: bubble.radius, opacity: b.opacity, fill: bubble.color })}/>` +
+      `<text${attrs({ x: b.x, y: b.y + 1.25, 'text-anchor': 'middle', 'dominant-baseline': 'central', fill: 'white', 'font-size': bubble.fontSize, 'font-weight': 'bold', 'font-family': FONT, opacity: b.opacity })}>$</text>`);
+  });
+
+  if (frame.ratio != null) {
+    const { x, y } = frame.house;
+    chart.push(`<g text-anchor="middle" font-family="${FONT}">` +
+      `<text${attrs({ x, y: y + 145, 'font-size': '18px', fill: '#333' })}>Investors earn</text>` +
+      `<text${attrs({ x, y: y + 195, 'font-size': '48px', 'font-weight': 'bold', fill: '#EF6C00' })}>${frame.ratio.toFixed(2)}×</text>` +
+      `<text${attrs({ x, y: y + 225, 'font-size': '18px', fill: '#333' })}>the non-investor profit</text>` +
+      `</g>`);
+  }
+
+  frame.clusters.forEach(c => {
+    chart.push(`<circle${attrs({ cx: c.x, cy: c.y, r: c.r, fill: c.color, 'fill-opacity': 0.05, stroke: c.color, 'stroke-width': c.strokeWidth })}/>`);
+    const labelY = c.labelAbove ? c.y - c.r - 14 : c.y + c.r + 20;
+    const badge = c.badge
+      ? `<tspan${attrs({ 'font-weight': 'normal', 'font-size': `${c.labelSize - 6}px`, fill: '#555' })}> · ${escapeXml(c.badge)}</tspan>`
+      : '';
+    chart.push(`<text${attrs({ x: c.x, y: labelY, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-family': FONT, 'font-weight': 'bold', 'font-size': `${c.labelSize}px`, fill: c.color })}>${escapeXml(c.label)}${badge}</text>`);
+  });
+
+  const { house } = frame;
+  chart.push(`<text${attrs({ x: house.x, y: house.y, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-size': '120px', opacity: 0.8, 'font-family': 'Segoe UI Emoji, Apple Color Emoji, Noto Color Emoji, sans-serif' })}>🏠</text>`);
+  chart.push(`<text${attrs({ x: house.x, y: house.y + 80, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-family': FONT, 'font-weight': 'bold', 'font-size': '24px', fill: '#333' })}>${escapeXml(house.label)}</text>`);
+
+  parts.push(`<g transform="translate(${PANEL_WIDTH}, 0)">${chart.join('')}</g>`);
+
+  parts.push(`<text${attrs({ x: totalWidth / 2, y: height + 22, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-family': FONT, 'font-weight': 'bold', 'font-size': '16px', fill: '#333' })}>${escapeXml(frame.caption)}</text>`);
+  parts.push(`<text${attrs({ x: totalWidth / 2, y: height + 48, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-family': FONT, 'font-style': 'italic', 'font-size': '14px', fill: '#666' })}>${escapeXml(frame.citation)}</text>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">` +
+    `${parts.join('')}</svg>\n`;
+}
@@ -0,0 +1,42 @@
+import { escapeXml, frameSize, frameSvg, wrapRuns } from './exportFrame';
+
+const frame = {
+  width: 800,
+  height: 700,
+  year: 2008,
+  bubbles: [{ x: 600, y: 200, opacity: 1 }, { x: 610, y: 210, opacity: 0 }, { x: null, y: null, opacity: 1 }],
+  bubble: { radius: 7, color: '#85BB65', fontSize: '16px' },
+  clusters: [{ x: 630, y: 190, r: 135, color: 'blue', label: 'Non-Investor Average', labelSize: 22, strokeWidth: 2, badge: '1,204 sales' }],
+  house: { x: 180, y: 350, label: 'Average Profit Per Sale' },
+  legend: '= $5,000',
+  callout: { title: 'Housing crash', lines: ['Prices fall & sales dry up'] },
+  ratio: null,
+  notes: [{ side: 'right', y: 190, runs: [{ text: 'Sales by non-investors have seen ' }, { text: 'less profit', bold: true }] }],
+  caption: 'Average profit per sale',
+  citation: 'Data sources: MAPC <2022>'
+};
+
+test('draws a standalone SVG with the notes, legend and citation in it', () => {
+  const svg = frameSvg(frame);
+  const { width, height } = frameSize(800, 700);
+
+  expect(svg).toContain(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"`);
+  expect(svg).toContain('have seen <tspan font-weight="bold">less profit</tspan>');
+  expect(svg).toContain('= $5,000');
+  expect(svg).toContain('Data sources: MAPC &lt;2022&gt;');
+  expect(svg).toContain('Prices fall &amp; sales dry up');
+  expect(svg).toContain(' · 1,204 sales</tspan>');
+  // Only the visible, placed bubble is drawn (plus the legend's sample)
+  expect(svg.match(/fill="#85BB65"/g)).toHaveLength(2);
+});
+
+test('wraps runs without losing which words are bold', () => {
+  expect(wrapRuns([{ text: 'has been ' }, { text: 'increasing year by year', bold: true }, { text: '.' }], 20)).toEqual([
+    [{ text: 'has been ', bold: false }, { text: 'increasing', bold: true }],
+    [{ text: 'year by year', bold: true }, { text: '.', bold: false }]
+  ]);
+});
+
+test('escapes XML', () => {
+  expect(escapeXml('"S&P" <HPI>')).toBe('&quot;S&amp;P&quot; &lt;HPI&gt;');
+});
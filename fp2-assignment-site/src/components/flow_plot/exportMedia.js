@@ -0,0 +1,127 @@
+/**
+ * Export output
+ *
+ * Turns exportFrame.js's SVG documents into downloads: the SVG itself, a PNG
+ * (drawn through a canvas) and a WebM video of a run of frames. Video uses
+ * the browser's MediaRecorder, so no encoder ships with the site; GIF would
+ * need one and isn't offered.
+ */
+
+// Save `blob` as `filename` through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function svgBlob(svg) {
+  return new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+}
+
+// Draw an SVG document onto `ctx`, filling width x height
+function drawSvg(ctx, svg, width, height) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(svgBlob(svg));
+    const image = new Image();
+    image.onload = () => {
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      resolve();
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Export: the frame could not be drawn.'));
+    };
+    image.src = url;
+  });
+}
+
+function frameCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// SVG document (width x height) => PNG blob at `scale` times the size
+export function pngBlob(svg, { width, height, scale = 2 }) {
+  const canvas = frameCanvas(Math.round(width * scale), Math.round(height * scale));
+  return drawSvg(canvas.getContext('2d'), svg, canvas.width, canvas.height).then(() =>
+    new Promise((resolve, reject) => canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Export: the PNG could not be encoded.'))),
+      'image/png'
+    ))
+  );
+}
+
+// Whether this browser can record a canvas to WebM
+export function canRecordVideo() {
+  return typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+    MediaRecorder.isTypeSupported('video/webm');
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record frames to a WebM blob.
+ *
+ * nextSvg() returns the next frame's SVG document, or null when done. Frames
+ * are handed to the recorder one at a time and paced 1/fps apart, so the
+ * video plays at `fps` (a frame slower than that to draw is held a little
+ * longer). `onProgress(done)` is called per frame; aborting `signal` stops
+ * early and rejects.
+ */
+export function recordWebm(nextSvg, { width, height, fps, onProgress, signal }) {
+  if (!canRecordVideo()) {
+    return Promise.reject(new Error("Export: this browser can't record video (no WebM MediaRecorder)."));
+  }
+  const canvas = frameCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const type = MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm';
+  const recorder = new MediaRecorder(stream, { mimeType: type });
+
+  const chunks = [];
+  recorder.ondataavailable = e => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+  function finish() {
+    recorder.stop();
+    track.stop();
+    return stopped;
+  }
+
+  let done = 0;
+  function step() {
+    const svg = nextSvg();
+    if (svg == null) return Promise.resolve();
+    if (signal && signal.aborted) return Promise.reject(new Error('Export: cancelled.'));
+    const started = performance.now();
+    return drawSvg(ctx, svg, width, height)
+      .then(() => {
+        track.requestFrame();
+        done++;
+        if (onProgress) onProgress(done);
+        return wait(Math.max(0, 1000 / fps - (performance.now() - started)));
+      })
+      .then(step);
+  }
+
+  recorder.start();
+  return step().then(
+    () => finish().then(() => new Blob(chunks, { type: 'video/webm' })),
+    error => finish().then(() => { throw error; })
+  );
+}
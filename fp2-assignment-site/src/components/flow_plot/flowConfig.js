@@ -0,0 +1,147 @@
+/**
+ * FlowChart configuration
+ *
+ * Everything that used to be hard-coded inside FlowChart. Pass overrides as
+ * <FlowChart config={{ bubbleValue: 1000, minYear: 2005 }} />; they are merged
+ * over DEFAULT_CONFIG and validated, and invalid combinations throw an Error
+ * that FlowChart shows in place of the chart.
+ */
+import { DEFAULT_STEP } from './scheduler';
+
+export const DEFAULT_CONFIG = {
+  bubbleValue: 5000,        // Dollars of profit per bubble
+  lifeSpanYears: 1.0,       // How long a bubble lives
+  fadePortion: 0.05,        // Share of the lifespan spent fading in (and out)
+  scheduleStep: DEFAULT_STEP, // Years between scheduler samples
+  animationSpeed: 0.01,     // Years per animation frame (higher = faster)
+  width: 800,
+  height: 700,
+  spawn: null,              // { x, y } of the house; defaults to (180, height / 2)
+  recycleAt: null,          // { x, y } where a recycled bubble restarts; defaults to just above and left of the house
+  bubbleRadius: 7,
+  collisionRadius: 9,       // Space each bubble keeps around it in the simulation
+  clusterRadius: 135,       // Investor and non-investor cluster circles
+  segmentRadius: 58,        // Investor segment circles
+  segmentOffset: 66,        // Distance of each segment circle from the investor cluster centre, per axis
+  moneyGreen: '#85BB65',
+  clusterPositions: { x: 630, nonInvY: 190, invY: 510 },
+  minYear: null,            // Slider bounds; default to the data's extent
+  maxYear: null,
+  pauseAtAnnotations: false, // Stop autoplay when it reaches a timeline event
+  realDollarsBaseYear: null, // Base year for "real dollars" mode; defaults to the latest CPI year
+  salesCountEncoding: 'badge' // Files with sales counts: 'badge' by the labels, 'ring' thickness, 'both' or 'none'
+};
+
+export const SALES_COUNT_ENCODINGS = ['badge', 'ring', 'both', 'none'];
+
+function fail(message) {
+  throw new Error(`FlowChart config: ${message}`);
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function checkPoint(name, point, width, height) {
+  if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+    fail(`${name} must be an object with numeric x and y.`);
+  }
+  if (point.x < 0 || point.x > width || point.y < 0 || point.y > height) {
+    fail(`${name} (${point.x}, ${point.y}) is outside the ${width}x${height} canvas.`);
+  }
+}
+
+/**
+ * Merge `overrides` over the defaults and validate everything that doesn't
+ * depend on the data.
+ */
+export function resolveFlowConfig(overrides = {}) {
+  Object.keys(overrides).forEach(key => {
+    if (!(key in DEFAULT_CONFIG)) fail(`unknown option "${key}".`);
+  });
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...overrides,
+    clusterPositions: { ...DEFAULT_CONFIG.clusterPositions, ...overrides.clusterPositions }
+  };
+
+  ['bubbleValue', 'lifeSpanYears', 'scheduleStep', 'animationSpeed', 'width', 'height',
+    'bubbleRadius', 'collisionRadius', 'clusterRadius', 'segmentRadius', 'segmentOffset'].forEach(key => {
+    if (!isPositive(config[key])) fail(`${key} must be a positive number, got ${config[key]}.`);
+  });
+
+  if (config.lifeSpanYears <= config.scheduleStep) {
+    fail(`lifeSpanYears (${config.lifeSpanYears}) must be longer than scheduleStep (${config.scheduleStep}), ` +
+      'or bubbles would die before the next scheduling step.');
+  }
+
+  if (typeof config.fadePortion !== 'number' || config.fadePortion < 0 || config.fadePortion > 0.5) {
+    fail(`fadePortion must be between 0 and 0.5, got ${config.fadePortion}.`);
+  }
+
+  if (typeof config.moneyGreen !== 'string' || !config.moneyGreen) {
+    fail('moneyGreen must be a CSS colour string.');
+  }
+
+  if (config.collisionRadius < config.bubbleRadius) {
+    fail(`collisionRadius (${config.collisionRadius}) must be at least bubbleRadius (${config.bubbleRadius}), ` +
+      'or bubbles would overlap.');
+  }
+
+  config.spawn = config.spawn ? { ...config.spawn } : { x: 180, y: config.height / 2 };
+  checkPoint('spawn', config.spawn, config.width, config.height);
+  config.recycleAt = config.recycleAt ? { ...config.recycleAt } : { x: config.spawn.x - 30, y: config.spawn.y - 50 };
+  checkPoint('recycleAt', config.recycleAt, config.width, config.height);
+
+  const { x, nonInvY, invY } = config.clusterPositions;
+  checkPoint('clusterPositions (non-investor)', { x, y: nonInvY }, config.width, config.height);
+  checkPoint('clusterPositions (investor)', { x, y: invY }, config.width, config.height);
+
+  ['minYear', 'maxYear', 'realDollarsBaseYear'].forEach(key => {
+    if (config[key] != null && !Number.isFinite(config[key])) fail(`${key} must be a number, got ${config[key]}.`);
+  });
+  if (config.minYear != null && config.maxYear != null && config.minYear >= config.maxYear) {
+    fail(`minYear (${config.minYear}) must be before maxYear (${config.maxYear}).`);
+  }
+
+  if (typeof config.pauseAtAnnotations !== 'boolean') {
+    fail(`pauseAtAnnotations must be true or false, got ${config.pauseAtAnnotations}.`);
+  }
+
+  if (!SALES_COUNT_ENCODINGS.includes(config.salesCountEncoding)) {
+    fail(`salesCountEncoding must be one of ${SALES_COUNT_ENCODINGS.join(', ')}, got ${config.salesCountEncoding}.`);
+  }
+
+  return config;
+}
+
+/**
+ * Slider bounds for the loaded `data`.
+ *
+ * By default the slider starts at the first year with any profit (the data
+ * opens with an all-zero padding row) and ends at the last year. Configured
+ * bounds must fall inside the data.
+ */
+export function resolveYearBounds(config, data, keys) {
+  if (data.length < 2) fail('the data needs at least two years.');
+
+  const firstYear = data[0].year;
+  const lastYear = data[data.length - 1].year;
+  const firstWithProfit = data.find(d => keys.some(key => d[key] > 0));
+
+  const minYear = config.minYear != null ? config.minYear : (firstWithProfit ? firstWithProfit.year : firstYear);
+  const maxYear = config.maxYear != null ? config.maxYear : lastYear;
+
+  if (minYear < firstYear || minYear > lastYear) {
+    fail(`minYear ${minYear} is outside the data (${firstYear}-${lastYear}).`);
+  }
+  if (maxYear < firstYear || maxYear > lastYear) {
+    fail(`maxYear ${maxYear} is outside the data (${firstYear}-${lastYear}).`);
+  }
+  if (minYear >= maxYear) {
+    fail(`minYear (${minYear}) must be before maxYear (${maxYear}).`);
+  }
+
+  return { minYear, maxYear };
+}
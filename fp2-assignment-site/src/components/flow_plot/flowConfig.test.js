@@ -0,0 +1,55 @@
+import { DEFAULT_CONFIG, resolveFlowConfig, resolveYearBounds } from './flowConfig';
+
+const data = [
+  { year: 1999, investor: 0, noninvestor: 0 },
+  { year: 2000, investor: 136976, noninvestor: 90083 },
+  { year: 2022, investor: 613817, noninvestor: 315530 }
+];
+const keys = ['investor', 'noninvestor'];
+
+test('defaults match the original chart', () => {
+  const config = resolveFlowConfig();
+
+  expect(config.bubbleValue).toBe(5000);
+  expect(config.spawn).toEqual({ x: 180, y: 350 });
+  expect(config.recycleAt).toEqual({ x: 150, y: 300 });
+  expect([config.bubbleRadius, config.collisionRadius]).toEqual([7, 9]);
+  expect(config.clusterPositions).toEqual(DEFAULT_CONFIG.clusterPositions);
+});
+
+test('merges partial cluster positions over the defaults', () => {
+  const config = resolveFlowConfig({ clusterPositions: { invY: 480 } });
+
+  expect(config.clusterPositions).toEqual({ x: 630, nonInvY: 190, invY: 480 });
+});
+
+test.each([
+  [{ bubbleValue: 0 }, /bubbleValue must be a positive number/],
+  [{ lifeSpanYears: 0.05 }, /lifeSpanYears \(0.05\) must be longer than scheduleStep \(0.1\)/],
+  [{ fadePortion: 0.8 }, /fadePortion must be between 0 and 0.5/],
+  [{ spawn: { x: 900, y: 10 } }, /spawn \(900, 10\) is outside the 800x700 canvas/],
+  [{ recycleAt: { x: 10 } }, /recycleAt must be an object with numeric x and y/],
+  [{ clusterRadius: -1 }, /clusterRadius must be a positive number/],
+  [{ bubbleRadius: 12 }, /collisionRadius \(9\) must be at least bubbleRadius \(12\)/],
+  [{ minYear: 2010, maxYear: 2005 }, /minYear \(2010\) must be before maxYear \(2005\)/],
+  [{ pauseAtAnnotations: 'yes' }, /pauseAtAnnotations must be true or false/],
+  [{ salesCountEncoding: 'width' }, /salesCountEncoding must be one of badge, ring, both, none/],
+  [{ bubbleVal: 1000 }, /unknown option "bubbleVal"/]
+])('rejects %o', (overrides, message) => {
+  expect(() => resolveFlowConfig(overrides)).toThrow(message);
+});
+
+test('year bounds skip the all-zero padding year by default', () => {
+  expect(resolveYearBounds(resolveFlowConfig(), data, keys)).toEqual({ minYear: 2000, maxYear: 2022 });
+});
+
+test('year bounds must fall inside the data', () => {
+  const config = resolveFlowConfig({ minYear: 1990 });
+
+  expect(() => resolveYearBounds(config, data, keys)).toThrow('minYear 1990 is outside the data (1999-2022)');
+});
+
+test('recycled bubbles restart near a moved house unless told otherwise', () => {
+  expect(resolveFlowConfig({ spawn: { x: 100, y: 400 } }).recycleAt).toEqual({ x: 70, y: 350 });
+  expect(resolveFlowConfig({ recycleAt: { x: 20, y: 20 } }).recycleAt).toEqual({ x: 20, y: 20 });
+});
@@ -0,0 +1,166 @@
+/**
+ * FlowChart data
+ *
+ * Column names in the aggregated sales CSV and how a row becomes the
+ * { year, investor, noninvestor, gap, small, medium, ... } objects the
+ * charts work with. Shared by FlowChart and SmallMultiples so they read the
+ * file the same way, and fetch it once between them.
+ */
+import { loadTable } from './dataLoader';
+
+// Investor segments, in sub-cluster order: top-left, top-right, bottom-left, bottom-right.
+// `saleType` is the matching investor_type_sale value in the row-level sales data.
+export const INVESTOR_SEGMENTS = [
+  { key: 'small', column: 'small investor profit', saleType: 'Small', label: 'Small Investor', color: '#E57373' },
+  { key: 'medium', column: 'medium investor profit', saleType: 'Medium', label: 'Medium Investor', color: '#E53935' },
+  { key: 'large', column: 'large investor profit', saleType: 'Large', label: 'Large Investor', color: '#B71C1C' },
+  { key: 'institutional', column: 'institutional investor profit', saleType: 'Institutional', label: 'Institutional', color: '#6D0F0F' }
+];
+
+// Every series a bubble can belong to
+export const ALL_SERIES = ['investor', 'noninvestor', 'gap', ...INVESTOR_SEGMENTS.map(s => s.key)];
+
+// Investor premium: average investor profit minus average non-investor profit
+export const GAP_COLUMN = 'mean profit diff';
+
+// Every profit series in the file; "<series> profit" is its mean
+const SERIES_COLUMNS = [
+  { key: 'noninvestor', column: 'noninvestor profit' },
+  { key: 'investor', column: 'total investor profit' },
+  ...INVESTOR_SEGMENTS.map(s => ({ key: s.key, column: s.column }))
+];
+
+// Statistics a file can carry per series. The mean is the plain column;
+// the others are optional extra columns (aggregate.js / aggregate_price_diff.py
+// write them with their distribution option).
+export const STATISTICS = [
+  { key: 'mean', label: 'Average' },
+  { key: 'median', label: 'Median' },
+  { key: 'trimmed', label: 'Trimmed Mean' }
+];
+
+// Extra per-series fields => column name, e.g. investor_q1 <= "total investor profit q1"
+const DISTRIBUTION_FIELDS = {
+  median: prefix => `${prefix} median profit`,
+  trimmed: prefix => `${prefix} trimmed mean profit`,
+  q1: prefix => `${prefix} profit q1`,
+  q3: prefix => `${prefix} profit q3`,
+  count: prefix => `${prefix} sales count`
+};
+
+// Column name for a series' extra field ("total investor profit", "q1" => "total investor profit q1")
+export function distributionColumn(seriesColumn, field) {
+  return DISTRIBUTION_FIELDS[field](seriesColumn.replace(/ profit$/, ''));
+}
+
+// Row key for a series' extra field: "investor", "q1" => "investor_q1"
+export function distributionKey(seriesKey, field) {
+  return `${seriesKey}_${field}`;
+}
+
+// Columns of the aggregated sales file (see dataLoader.js for the schema format)
+export const SALES_SCHEMA = [
+  { key: 'year', column: 'year', required: true },
+  { key: 'investor', column: 'total investor profit', required: true },
+  { key: 'noninvestor', column: 'noninvestor profit', required: true },
+  { key: 'gap', column: GAP_COLUMN },
+  ...INVESTOR_SEGMENTS.map(s => ({ key: s.key, column: s.column })),
+  ...SERIES_COLUMNS.flatMap(series => Object.keys(DISTRIBUTION_FIELDS).map(field => ({
+    key: distributionKey(series.key, field),
+    column: distributionColumn(series.column, field)
+  })))
+];
+
+// Dollar-valued row keys besides the series themselves (deflated in real-dollar mode)
+export const DISTRIBUTION_MONEY_KEYS = SERIES_COLUMNS.flatMap(series =>
+  ['median', 'trimmed', 'q1', 'q3'].map(field => distributionKey(series.key, field))
+);
+
+/**
+ * Validated table ({ rows, columns } from dataLoader) =>
+ * { data, hasSegments, statistics, hasDistribution, hasSalesCount }, data
+ * sorted by year.
+ *
+ * hasSegments is true only if the file has every segment column and some of
+ * them hold values. `statistics` lists the STATISTICS keys the file has for
+ * both investors and non-investors (always including the mean),
+ * hasDistribution whether it has their quartiles and hasSalesCount whether
+ * it has their sales counts.
+ */
+export function toFlowData({ rows, columns }) {
+  const hasSegments = INVESTOR_SEGMENTS.every(s => columns.includes(s.column)) &&
+    rows.some(row => INVESTOR_SEGMENTS.some(s => row[s.key] != null));
+
+  // A field counts if both main series have its column and it holds values
+  const hasField = field => ['noninvestor', 'investor'].every(key => {
+    const series = SERIES_COLUMNS.find(s => s.key === key);
+    return columns.includes(distributionColumn(series.column, field)) &&
+      rows.some(row => row[distributionKey(key, field)] != null);
+  });
+  const statistics = STATISTICS.filter(stat => stat.key === 'mean' || hasField(stat.key)).map(stat => stat.key);
+  const hasDistribution = ['q1', 'q3'].every(hasField);
+  const hasSalesCount = hasField('count');
+
+  const data = rows.map(row => {
+    const flowRow = { ...row };
+    // Older files may lack the premium column; it's the plain difference
+    if (flowRow.gap == null) flowRow.gap = row.investor - row.noninvestor;
+    // Segment columns may be missing or blank; treat blanks as no profit
+    INVESTOR_SEGMENTS.forEach(segment => {
+      if (flowRow[segment.key] == null) flowRow[segment.key] = 0;
+    });
+    return flowRow;
+  }).sort((a, b) => a.year - b.year);
+
+  return { data, hasSegments, statistics, hasDistribution, hasSalesCount };
+}
+
+/**
+ * Copy of `data` with each series' value switched to `statistic` (a
+ * STATISTICS key), where the row has it; the premium is recomputed to match.
+ */
+export function applyStatistic(data, statistic) {
+  if (statistic === 'mean') return data;
+  return data.map(row => {
+    const statRow = { ...row };
+    SERIES_COLUMNS.forEach(series => {
+      const value = row[distributionKey(series.key, statistic)];
+      if (value != null) statRow[series.key] = value;
+    });
+    statRow.gap = statRow.investor - statRow.noninvestor;
+    return statRow;
+  });
+}
+
+// Loads by URL, shared by every chart on the page; a failed load is forgotten so it can be retried
+const flowDataLoads = new Map();
+
+/**
+ * Fetch and validate the sales file => toFlowData()'s result plus the
+ * loader's problems. Every caller asking for the same URL gets the same
+ * result, so treat it as read-only.
+ */
+export function loadFlowData(url) {
+  if (!flowDataLoads.has(url)) {
+    const load = loadTable(url, SALES_SCHEMA).then(table => ({ ...toFlowData(table), problems: table.problems }));
+    load.catch(() => flowDataLoads.delete(url));
+    flowDataLoads.set(url, load);
+  }
+  return flowDataLoads.get(url);
+}
+
+/**
+ * Copy of `data` with each `keys` column indexed to `baseYear` = 100.
+ * A column that is zero (or missing) in the base year can't be indexed and
+ * comes back as null.
+ */
+export function indexRows(data, keys, baseYear) {
+  const base = data.find(d => d.year === baseYear);
+  return data.map(row => {
+    const indexed = { ...row };
+    keys.forEach(key => {
+      indexed[key] = base && base[key] > 0 && row[key] != null ? (row[key] / base[key]) * 100 : null;
+    });
+    return indexed;
+  });
+}
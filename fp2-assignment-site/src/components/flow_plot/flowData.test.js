@@ -0,0 +1,91 @@
+import * as dataLoader from './dataLoader';
+import { validateTable } from './dataLoader';
+import { applyStatistic, indexRows, loadFlowData, SALES_SCHEMA, toFlowData } from './flowData';
+
+// Records as d3.csvParse would return them, through the loader
+function load(records, columns) {
+  return toFlowData(validateTable(records, SALES_SCHEMA, 'test.csv', columns));
+}
+
+test('parses the aggregated file and derives the premium when it is missing', () => {
+  const { data, hasSegments } = load([
+    { year: '2001', 'noninvestor profit': '100', 'total investor profit': '150' },
+    { year: '2000', 'noninvestor profit': '80', 'total investor profit': '90' }
+  ], ['year', 'noninvestor profit', 'total investor profit']);
+
+  expect(data.map(d => d.year)).toEqual([2000, 2001]);
+  expect(data[1]).toMatchObject({ investor: 150, noninvestor: 100, gap: 50, small: 0 });
+  expect(hasSegments).toBe(false);
+});
+
+test('offers the statistics and distribution the file has', () => {
+  const columns = ['year', 'noninvestor profit', 'total investor profit',
+    'noninvestor median profit', 'total investor median profit', 'total investor trimmed mean profit',
+    'noninvestor profit q1', 'noninvestor profit q3', 'noninvestor sales count',
+    'total investor profit q1', 'total investor profit q3', 'total investor sales count'];
+  const record = {
+    year: '2000', 'noninvestor profit': '100', 'total investor profit': '500',
+    'noninvestor median profit': '90', 'total investor median profit': '120',
+    // Only one side has a trimmed mean, so it can't be offered
+    'total investor trimmed mean profit': '300',
+    'noninvestor profit q1': '40', 'noninvestor profit q3': '150', 'noninvestor sales count': '20',
+    'total investor profit q1': '60', 'total investor profit q3': '200', 'total investor sales count': '5'
+  };
+  const { data, statistics, hasDistribution, hasSalesCount } = load([record], columns);
+
+  expect(statistics).toEqual(['mean', 'median']);
+  expect(hasDistribution).toBe(true);
+  expect(hasSalesCount).toBe(true);
+  expect(data[0]).toMatchObject({ investor_q1: 60, noninvestor_count: 20 });
+
+  const plain = load([record], columns.slice(0, 3));
+  expect(plain.statistics).toEqual(['mean']);
+  expect(plain.hasDistribution).toBe(false);
+  expect(plain.hasSalesCount).toBe(false);
+});
+
+test('switches the series to another statistic and recomputes the premium', () => {
+  const data = [{ year: 2000, investor: 500, noninvestor: 100, gap: 400, investor_median: 120, noninvestor_median: 90 }];
+  const median = applyStatistic(data, 'median');
+
+  expect(median[0]).toMatchObject({ investor: 120, noninvestor: 90, gap: 30 });
+  expect(data[0].investor).toBe(500);
+  expect(applyStatistic(data, 'mean')).toBe(data);
+});
+
+test('detects segment columns only when they hold values', () => {
+  const columns = ['year', 'noninvestor profit', 'total investor profit', 'small investor profit',
+    'medium investor profit', 'large investor profit', 'institutional investor profit'];
+  const blank = { year: '2000', 'noninvestor profit': '1', 'total investor profit': '2',
+    'small investor profit': '', 'medium investor profit': '', 'large investor profit': '',
+    'institutional investor profit': '' };
+
+  expect(load([blank], columns).hasSegments).toBe(false);
+  expect(load([{ ...blank, 'large investor profit': '5' }], columns).hasSegments).toBe(true);
+});
+
+test('indexes columns to a base year and nulls ones that start at zero', () => {
+  const data = [
+    { year: 2000, investor: 200, small: 0 },
+    { year: 2001, investor: 300, small: 10 }
+  ];
+  const indexed = indexRows(data, ['investor', 'small'], 2000);
+
+  expect(indexed[1].investor).toBe(150);
+  expect(indexed[0].investor).toBe(100);
+  expect(indexed[1].small).toBeNull();
+});
+
+test('shares a load between callers and retries after a failure', async () => {
+  const loadTable = jest.spyOn(dataLoader, 'loadTable')
+    .mockRejectedValueOnce(new Error('offline'))
+    .mockResolvedValue({ rows: [{ year: 2000, investor: 2, noninvestor: 1 }], columns: [], problems: [] });
+
+  await expect(loadFlowData('shared.csv')).rejects.toThrow('offline');
+  const first = loadFlowData('shared.csv');
+  expect(loadFlowData('shared.csv')).toBe(first);
+  expect((await first).data[0]).toMatchObject({ year: 2000, gap: 1 });
+  expect(loadTable).toHaveBeenCalledTimes(2);
+
+  loadTable.mockRestore();
+});
@@ -0,0 +1,99 @@
+/**
+ * Scroll story
+ *
+ * The narrative FlowChart plays through in scrollytelling mode (see
+ * ScrollStory.js): while the chart is pinned, scrolling moves the year from
+ * `from` to `to`, and each step's text fades in once the year reaches it.
+ * `screens` is how many viewport heights of scrolling the story takes.
+ *
+ * Editing the story is a change to FLOW_STORY only.
+ */
+
+export const FLOW_STORY = {
+  from: 2000,
+  to: 2022,
+  screens: 6,
+  steps: [
+    {
+      year: 2000,
+      title: '2000: investors start ahead',
+      text: 'Each $ is $5,000 of profit on a resale. From the first year, sales by investors earn more than sales by owners.'
+    },
+    {
+      year: 2005,
+      title: '2005: the boom',
+      text: 'Boston prices near their peak, and resale profits for investors and owners peak with them.'
+    },
+    {
+      year: 2008,
+      title: '2008: profits collapse',
+      text: 'In the financial crisis, the average owner’s resale profit falls to less than half its 2005 level. Investor profits dip far less.'
+    },
+    {
+      year: 2013,
+      title: '2013: the recovery',
+      text: 'Owners’ profits climb back, but the gap to investors stays wider than it was before the crash.'
+    },
+    {
+      year: 2020,
+      title: '2020: a pandemic surge',
+      text: 'Record-low mortgage rates push prices, and resale profits, to new highs.'
+    }
+  ]
+};
+
+/**
+ * Check a story => the same story. Throws an Error naming the first problem:
+ * steps must have a year, title and text, in year order within from..to.
+ */
+export function validateStory(story) {
+  const { from, to, screens, steps } = story || {};
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    throw new Error(`Story: "from" (${from}) must be a year before "to" (${to}).`);
+  }
+  if (!(screens > 1)) {
+    throw new Error(`Story: "screens" must be more than 1, got ${screens}.`);
+  }
+  if (!Array.isArray(steps) || !steps.length) {
+    throw new Error('Story: needs at least one step.');
+  }
+  steps.forEach((step, i) => {
+    if (!step || !Number.isFinite(step.year) || !step.title || !step.text) {
+      throw new Error(`Story: step ${i + 1} needs a year, a title and text.`);
+    }
+    if (step.year < from || step.year > to) {
+      throw new Error(`Story: step "${step.title}" (${step.year}) is outside ${from}-${to}.`);
+    }
+    if (i > 0 && step.year <= steps[i - 1].year) {
+      throw new Error(`Story: step "${step.title}" must come after ${steps[i - 1].year}.`);
+    }
+  });
+  return story;
+}
+
+/**
+ * How far through its pinned stretch a section is, 0 to 1. `top` is the
+ * section's top relative to the viewport, `height` its full height and
+ * `pinHeight` the height of the part that stays pinned; the pin holds until
+ * the section's bottom reaches the pin's.
+ */
+export function pinProgress(top, height, pinHeight) {
+  const range = height - pinHeight;
+  if (range <= 0) return top <= 0 ? 1 : 0;
+  return Math.min(1, Math.max(0, -top / range));
+}
+
+// Scroll progress (0..1) => year
+export function progressToYear(progress, from, to) {
+  return from + progress * (to - from);
+}
+
+// Index of the step showing at `year`: the last one it has reached, or -1
+export function activeStepIndex(steps, year) {
+  if (year == null) return -1;
+  let active = -1;
+  steps.forEach((step, i) => {
+    if (year >= step.year) active = i;
+  });
+  return active;
+}
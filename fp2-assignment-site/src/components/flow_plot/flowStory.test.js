@@ -0,0 +1,32 @@
+import { activeStepIndex, FLOW_STORY, pinProgress, progressToYear, validateStory } from './flowStory';
+
+test('the bundled story is valid', () => {
+  expect(validateStory(FLOW_STORY)).toBe(FLOW_STORY);
+});
+
+test.each([
+  [{ ...FLOW_STORY, from: 2022, to: 2000 }, /"from" \(2022\) must be a year before "to" \(2000\)/],
+  [{ ...FLOW_STORY, screens: 1 }, /"screens" must be more than 1/],
+  [{ ...FLOW_STORY, steps: [{ year: 2008, title: 'Crash' }] }, /step 1 needs a year, a title and text/],
+  [{ ...FLOW_STORY, steps: [{ year: 1990, title: 'Early', text: '.' }] }, /"Early" \(1990\) is outside 2000-2022/],
+  [{ ...FLOW_STORY, steps: [{ year: 2008, title: 'A', text: '.' }, { year: 2005, title: 'B', text: '.' }] }, /"B" must come after 2008/]
+])('rejects bad stories', (story, message) => {
+  expect(() => validateStory(story)).toThrow(message);
+});
+
+test('maps the pinned stretch of scrolling onto the years', () => {
+  // A 4000px section with a 1000px pin scrolls through 3000px
+  expect(pinProgress(100, 4000, 1000)).toBe(0);
+  expect(pinProgress(-1500, 4000, 1000)).toBe(0.5);
+  expect(pinProgress(-3500, 4000, 1000)).toBe(1);
+  expect(progressToYear(0.5, 2000, 2022)).toBe(2011);
+});
+
+test('shows the last step the year has reached', () => {
+  const steps = FLOW_STORY.steps;
+
+  expect(activeStepIndex(steps, 1999.5)).toBe(-1);
+  expect(activeStepIndex(steps, 2008)).toBe(2);
+  expect(activeStepIndex(steps, 2011.7)).toBe(2);
+  expect(activeStepIndex(steps, null)).toBe(-1);
+});
@@ -0,0 +1,67 @@
+/**
+ * Inflation adjustment
+ *
+ * FlowChart's profits are nominal. In "real" mode each year's profit is
+ * restated in base-year dollars using the bundled annual CPI-U series
+ * (public/cpi_u_annual.csv, BLS US city average, 1982-84 = 100).
+ */
+import { loadTable } from './dataLoader';
+
+export const CPI_SCHEMA = [
+  { key: 'year', column: 'year', required: true },
+  { key: 'cpi', column: 'cpi', required: true }
+];
+
+/**
+ * Rows loadTable has checked against CPI_SCHEMA (numbers only) => { year: cpi }.
+ * A CPI of zero or less can't restate anything, so that year is left out.
+ */
+export function parseCpi(rows) {
+  const cpi = {};
+  rows.forEach(row => {
+    if (row.cpi > 0) cpi[row.year] = row.cpi;
+  });
+  return cpi;
+}
+
+// Loads by URL, shared by every chart on the page; a failed load is forgotten so it can be retried
+const cpiLoads = new Map();
+
+// Fetch and validate the CPI file => { cpi: parseCpi()'s result, problems }
+export function loadCpi(url) {
+  if (!cpiLoads.has(url)) {
+    const load = loadTable(url, CPI_SCHEMA).then(({ rows, problems }) => ({ cpi: parseCpi(rows), problems }));
+    load.catch(() => cpiLoads.delete(url));
+    cpiLoads.set(url, load);
+  }
+  return cpiLoads.get(url);
+}
+
+// Latest year the CPI series covers, the default base year
+export function latestCpiYear(cpi) {
+  const years = Object.keys(cpi).map(Number);
+  return years.length ? Math.max(...years) : null;
+}
+
+/**
+ * Copy of `data` with every `keys` column restated in `baseYear` dollars.
+ * Rows are annual (row.year is a whole year); a year the CPI series doesn't
+ * cover throws rather than quietly mixing nominal and real values.
+ */
+export function deflateRows(data, cpi, baseYear, keys) {
+  if (!cpi[baseYear]) {
+    throw new Error(`Inflation: no CPI value for base year ${baseYear}.`);
+  }
+  return data.map(row => {
+    const yearCpi = cpi[Math.floor(row.year)];
+    if (!yearCpi) {
+      throw new Error(`Inflation: no CPI value for ${Math.floor(row.year)}.`);
+    }
+    const factor = cpi[baseYear] / yearCpi;
+    const real = { ...row };
+    keys.forEach(key => {
+      if (row[key] != null) real[key] = row[key] * factor;
+    });
+    return real;
+  });
+}
@@ -0,0 +1,35 @@
+import { validateTable } from './dataLoader';
+import { CPI_SCHEMA, deflateRows, latestCpiYear, parseCpi } from './inflation';
+
+// Through the loader, as loadCpi does: the blank year is dropped there
+const cpi = parseCpi(validateTable([
+  { year: '2000', cpi: '172.2' },
+  { year: '2022', cpi: '292.655' },
+  { year: '', cpi: '1' },
+  { year: '2010', cpi: '0' }
+], CPI_SCHEMA, 'cpi.csv').rows);
+
+test('parses CPI rows and skips unusable ones', () => {
+  expect(cpi).toEqual({ 2000: 172.2, 2022: 292.655 });
+  expect(latestCpiYear(cpi)).toBe(2022);
+  expect(latestCpiYear({})).toBeNull();
+});
+
+test('restates profits in base-year dollars', () => {
+  const data = [
+    { year: 2000, investor: 100000, noninvestor: 50000, label: 'keep' },
+    { year: 2022, investor: 600000, noninvestor: 300000, label: 'keep' }
+  ];
+  const real = deflateRows(data, cpi, 2022, ['investor', 'noninvestor']);
+
+  expect(real[0].investor).toBeCloseTo(169950.6, 1);
+  expect(real[0].label).toBe('keep');
+  expect(real[1]).toEqual(data[1]);
+  // The input is left alone
+  expect(data[0].investor).toBe(100000);
+});
+
+test('refuses years the CPI series does not cover', () => {
+  expect(() => deflateRows([{ year: 2010, investor: 1 }], cpi, 2022, ['investor'])).toThrow(/no CPI value for 2010/);
+  expect(() => deflateRows([], cpi, 1990, ['investor'])).toThrow(/base year 1990/);
+});
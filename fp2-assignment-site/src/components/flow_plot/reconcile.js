@@ -0,0 +1,69 @@
+/**
+ * Bubble reconciliation
+ *
+ * Maps the scheduler's alive entries at time t onto FlowChart's bubble
+ * objects (which carry simulation positions), reusing bubbles wherever
+ * possible so they keep their React key and don't jump around.
+ *
+ * Runs in O(bubbles + entries): bubbles are matched to entries by id through
+ * a Map instead of searching lists for every scheduled bubble.
+ */
+
+/**
+ * @param {Array<Object>} prevBubbles  Current bubbles ({ id, entryId, type, birth, death, x, y })
+ * @param {Array<Object>} alive        Scheduler entries to show ({ id, key, birth, death })
+ * @param {number} t                   Current time
+ * @param {Object} options             { spawn: {x, y}, recycleAt: {x, y}, createId }
+ * @returns {Array<Object>} the next bubble list
+ */
+export function reconcileBubbles(prevBubbles, alive, t, { spawn, recycleAt = spawn, createId }) {
+  const wanted = new Map(alive.map(entry => [entry.id, entry]));
+  const activeTypes = new Set(alive.map(entry => entry.key));
+  const next = [];
+
+  // Spare bubbles, by type, that can take over an entry that has no bubble yet
+  const spareByType = new Map();
+  // Visible bubbles of series that are no longer shown (after a mode toggle)
+  const rerouted = [];
+
+  prevBubbles.forEach(b => {
+    const entry = wanted.get(b.entryId);
+    if (entry) {
+      // Still scheduled: keep it as is
+      wanted.delete(b.entryId);
+      next.push({ ...b, birth: entry.birth, death: entry.death });
+    } else if (activeTypes.has(b.type)) {
+      if (!spareByType.has(b.type)) spareByType.set(b.type, []);
+      spareByType.get(b.type).push(b);
+    } else if (b.birth <= t && t < b.death) {
+      rerouted.push(b);
+    }
+  });
+
+  wanted.forEach(entry => {
+    const spares = spareByType.get(entry.key);
+    const lifetime = { entryId: entry.id, type: entry.key, birth: entry.birth, death: entry.death };
+
+    if (spares && spares.length) {
+      // Recycle a bubble of the same series, restarting it at the house
+      next.push({ ...spares.pop(), ...lifetime, x: recycleAt.x, y: recycleAt.y });
+    } else if (rerouted.length) {
+      // Re-route a bubble from a hidden series, keeping its position
+      // so it flies from where it is to its new cluster
+      next.push({ ...rerouted.pop(), ...lifetime });
+    } else {
+      // Create a brand new bubble at the spawn point
+      next.push({ id: createId(), ...lifetime, x: spawn.x, y: spawn.y });
+    }
+  });
+
+  // Keep bubbles that haven't been born yet around for recycling when scrubbing.
+  // They give up their entry, so coming back to life always goes through recycling.
+  spareByType.forEach(spares => {
+    spares.forEach(b => {
+      if (b.birth > t) next.push({ ...b, entryId: null });
+    });
+  });
+
+  return next;
+}
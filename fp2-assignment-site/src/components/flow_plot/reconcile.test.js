@@ -0,0 +1,86 @@
+import { reconcileBubbles } from './reconcile';
+import { createScheduler } from './scheduler';
+
+const options = {
+  spawn: { x: 180, y: 350 },
+  recycleAt: { x: 150, y: 300 },
+  createId: (() => { let n = 0; return () => `new-${n++}`; })()
+};
+
+const entry = (id, key, birth, death = birth + 1) => ({ id, key, birth, death });
+
+test('keeps bubbles whose entry is still alive, including their position', () => {
+  const prev = [{ id: 'a', entryId: 'investor-0', type: 'investor', birth: 2000, death: 2001, x: 600, y: 500 }];
+  const next = reconcileBubbles(prev, [entry('investor-0', 'investor', 2000)], 2000.5, options);
+
+  expect(next).toEqual([{ ...prev[0] }]);
+});
+
+test('creates one bubble per new entry at the spawn point', () => {
+  const next = reconcileBubbles([], [
+    entry('investor-0', 'investor', 2000),
+    entry('noninvestor-0', 'noninvestor', 2000)
+  ], 2000.5, options);
+
+  expect(next).toHaveLength(2);
+  next.forEach(b => expect([b.x, b.y]).toEqual([180, 350]));
+  expect(next.map(b => b.type).sort()).toEqual(['investor', 'noninvestor']);
+});
+
+test('recycles spare bubbles of the same series from the house', () => {
+  const prev = [{ id: 'a', entryId: 'investor-0', type: 'investor', birth: 2000, death: 2001, x: 600, y: 500 }];
+  const next = reconcileBubbles(prev, [entry('investor-1', 'investor', 2001)], 2001.5, options);
+
+  expect(next).toEqual([expect.objectContaining({ id: 'a', entryId: 'investor-1', birth: 2001, x: 150, y: 300 })]);
+});
+
+test('re-routes visible bubbles of hidden series without moving them', () => {
+  const prev = [{ id: 'a', entryId: 'investor-0', type: 'investor', birth: 2000, death: 2001, x: 600, y: 500 }];
+  const next = reconcileBubbles(prev, [entry('small-0', 'small', 2000.2)], 2000.5, options);
+
+  expect(next).toEqual([expect.objectContaining({ id: 'a', type: 'small', entryId: 'small-0', x: 600, y: 500 })]);
+});
+
+test('drops dead bubbles and keeps unborn ones for recycling', () => {
+  const prev = [
+    { id: 'alive', entryId: 'investor-1', type: 'investor', birth: 1999.5, death: 2000.5, x: 0, y: 0 },
+    { id: 'dead', entryId: 'investor-0', type: 'investor', birth: 1998, death: 1999, x: 0, y: 0 },
+    { id: 'unborn', entryId: 'investor-5', type: 'investor', birth: 2003, death: 2004, x: 0, y: 0 }
+  ];
+  const next = reconcileBubbles(prev, [entry('investor-1', 'investor', 1999.5)], 2000, options);
+
+  expect(next.map(b => b.id)).toEqual(['alive', 'unborn']);
+  expect(next[1].entryId).toBeNull();
+});
+
+test('carries bubbles over when the data is swapped for another region', () => {
+  const keys = ['investor', 'noninvestor'];
+  const schedule = data => createScheduler(data, { keys, bubbleValue: 1000, lifeSpan: 1, fadePortion: 0.05 });
+  const before = schedule([
+    { year: 2000, investor: 8000, noninvestor: 4000 },
+    { year: 2002, investor: 8000, noninvestor: 4000 }
+  ]);
+  const after = schedule([
+    { year: 2000, investor: 3000, noninvestor: 6000 },
+    { year: 2002, investor: 3000, noninvestor: 6000 }
+  ]);
+  const t = 2001;
+
+  const shown = reconcileBubbles([], before.aliveAt(t), t, options);
+  const swapped = reconcileBubbles(shown, after.aliveAt(t), t, options);
+
+  // Exactly the new region's bubbles are scheduled, with its lifetimes...
+  const scheduled = swapped.filter(b => b.entryId);
+  const alive = after.aliveAt(t);
+  expect(scheduled.map(b => b.entryId).sort()).toEqual(alive.map(entry => entry.id).sort());
+  scheduled.forEach(b => {
+    const entry = alive.find(e => e.id === b.entryId);
+    expect([b.type, b.birth, b.death]).toEqual([entry.key, entry.birth, entry.death]);
+  });
+
+  // ...made from the bubbles already on screen: the series that shrank needs no new ones
+  const shownIds = new Set(shown.map(b => b.id));
+  expect(scheduled.filter(b => b.type === 'investor').every(b => shownIds.has(b.id))).toBe(true);
+  expect(scheduled.filter(b => b.type === 'noninvestor' && shownIds.has(b.id)))
+    .toHaveLength(shown.filter(b => b.type === 'noninvestor').length);
+});
@@ -0,0 +1,49 @@
+/**
+ * Regions
+ *
+ * The region picker reads public/regions.json, which lists the regional
+ * aggregates the site ships:
+ *
+ *   { "default": "mapc",
+ *     "regions": [{ "id": "boston", "label": "Boston", "file": "boston_aggregated.csv" }] }
+ *
+ * Each file has the same columns as the MAPC aggregate (see flowData.js).
+ * Adding a town is a new CSV in public/ plus an entry here; no code changes.
+ * The picker only shows once there's more than one region to pick from.
+ */
+
+/**
+ * Validate a manifest => { regions, defaultId }. Throws an Error naming the
+ * first bad entry.
+ */
+export function parseRegionManifest(manifest) {
+  const list = manifest && manifest.regions;
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error('Regions: the manifest needs a non-empty "regions" list.');
+  }
+
+  const seen = new Set();
+  const regions = list.map((region, i) => {
+    const { id, label, file } = region || {};
+    if (!id || !/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Regions: entry ${i + 1} needs an id of lowercase letters, digits and dashes.`);
+    }
+    if (seen.has(id)) throw new Error(`Regions: duplicate id "${id}".`);
+    if (!label) throw new Error(`Regions: "${id}" has no label.`);
+    if (!file) throw new Error(`Regions: "${id}" has no file.`);
+    seen.add(id);
+    return { id, label, file };
+  });
+
+  const defaultId = manifest.default != null ? manifest.default : regions[0].id;
+  if (!seen.has(defaultId)) {
+    throw new Error(`Regions: default "${defaultId}" is not in the list.`);
+  }
+
+  return { regions, defaultId };
+}
+
+// Manifest file paths are relative to the public folder
+export function regionUrl(region, publicUrl = process.env.PUBLIC_URL) {
+  return /^(https?:)?\//.test(region.file) ? region.file : `${publicUrl}/${region.file}`;
+}
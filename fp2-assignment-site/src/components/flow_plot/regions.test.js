@@ -0,0 +1,24 @@
+import { parseRegionManifest, regionUrl } from './regions';
+
+const boston = { id: 'boston', label: 'Boston', file: 'boston.csv' };
+const mapc = { id: 'mapc', label: 'MAPC Region', file: 'mapc.csv' };
+
+test('reads regions and the default, falling back to the first', () => {
+  expect(parseRegionManifest({ default: 'mapc', regions: [boston, mapc] }).defaultId).toBe('mapc');
+  expect(parseRegionManifest({ regions: [boston, mapc] })).toEqual({ regions: [boston, mapc], defaultId: 'boston' });
+});
+
+test.each([
+  [{}, /non-empty "regions" list/],
+  [{ regions: [{ ...boston, id: 'Boston MA' }] }, /entry 1 needs an id/],
+  [{ regions: [boston, boston] }, /duplicate id "boston"/],
+  [{ regions: [{ ...boston, file: '' }] }, /"boston" has no file/],
+  [{ default: 'cambridge', regions: [boston] }, /default "cambridge" is not in the list/]
+])('rejects bad manifests', (manifest, message) => {
+  expect(() => parseRegionManifest(manifest)).toThrow(message);
+});
+
+test('resolves files against the public folder', () => {
+  expect(regionUrl(boston, '/site')).toBe('/site/boston.csv');
+  expect(regionUrl({ ...boston, file: 'https://example.org/b.csv' }, '/site')).toBe('https://example.org/b.csv');
+});
@@ -0,0 +1,87 @@
+/**
+ * Scheduler / reconciliation benchmark
+ *
+ * Run with `npm run bench`. Builds a synthetic 50-year series with monthly rows
+ * and a $500 bubble (10x the bubbles of the shipped $5,000 chart), then scrubs
+ * the whole range the way the slider does, reconciling bubbles on every frame.
+ * A frame has to fit in 16ms for 60fps, and the scheduler and reconciliation
+ * share it with React and the force simulation, so they get a quarter of it.
+ */
+import { createScheduler } from './scheduler';
+import { reconcileBubbles } from './reconcile';
+
+const YEARS = 50;
+const ROWS_PER_YEAR = 12;
+const BUBBLE_VALUE = 500;
+const FRAME_BUDGET_MS = 16 / 4;
+
+// Growing, oscillating profits with a crash in the middle, so bubbles are
+// both born and retired early
+function syntheticSeries() {
+  const rows = [];
+  for (let i = 0; i <= YEARS * ROWS_PER_YEAR; i++) {
+    const year = 2000 + i / ROWS_PER_YEAR;
+    const crash = year > 2025 && year < 2030 ? 0.4 : 1;
+    rows.push({
+      year,
+      investor: crash * (150000 + 6000 * (year - 2000) + 40000 * Math.sin(year * 1.7)),
+      noninvestor: crash * (90000 + 3000 * (year - 2000) + 25000 * Math.cos(year * 1.3))
+    });
+  }
+  return rows;
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+test(`schedules ${YEARS} years of monthly data at $${BUBBLE_VALUE} per bubble`, () => {
+  const data = syntheticSeries();
+  const { result: scheduler, ms } = time(() => createScheduler(data, {
+    keys: ['investor', 'noninvestor'],
+    bubbleValue: BUBBLE_VALUE,
+    lifeSpan: 1.0,
+    fadePortion: 0.05
+  }));
+  const total = scheduler.keys.reduce((sum, key) => sum + scheduler.schedules[key].length, 0);
+
+  console.log(`scheduled ${total} bubbles over ${scheduler.times.length} time points in ${ms.toFixed(1)}ms`);
+  expect(ms).toBeLessThan(1000);
+});
+
+test('scrubbing reconciles every frame within budget', () => {
+  const scheduler = createScheduler(syntheticSeries(), {
+    keys: ['investor', 'noninvestor'],
+    bubbleValue: BUBBLE_VALUE,
+    lifeSpan: 1.0,
+    fadePortion: 0.05
+  });
+  const options = { spawn: { x: 180, y: 350 }, createId: (() => { let n = 0; return () => `b${n++}`; })() };
+
+  let bubbles = [];
+  const frameTimes = [];
+  let maxAlive = 0;
+
+  // Forward at the autoplay speed, then drag back across the whole range
+  const forward = [];
+  for (let t = 2000; t <= 2000 + YEARS; t += 0.01) forward.push(t);
+  const backward = forward.filter((_, i) => i % 10 === 0).reverse();
+
+  [...forward, ...backward].forEach(t => {
+    const { ms } = time(() => {
+      bubbles = reconcileBubbles(bubbles, scheduler.aliveAt(t), t, options);
+    });
+    frameTimes.push(ms);
+    maxAlive = Math.max(maxAlive, bubbles.length);
+  });
+
+  frameTimes.sort((a, b) => a - b);
+  const mean = frameTimes.reduce((sum, ms) => sum + ms, 0) / frameTimes.length;
+  const p95 = frameTimes[Math.floor(frameTimes.length * 0.95)];
+
+  console.log(`${frameTimes.length} frames, up to ${maxAlive} bubbles: ` +
+    `mean ${mean.toFixed(3)}ms, p95 ${p95.toFixed(3)}ms, max ${frameTimes[frameTimes.length - 1].toFixed(3)}ms`);
+  expect(p95).toBeLessThan(FRAME_BUDGET_MS);
+});
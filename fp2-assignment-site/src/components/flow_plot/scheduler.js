@@ -0,0 +1,207 @@
+/**
+ * Bubble scheduler
+ *
+ * Pure scheduling engine behind FlowChart. Given yearly rows such as
+ * { year: 2000, investor: 136976, noninvestor: 90083 }, it decides when each
+ * "$" bubble is born and when it dies, so that at every sampled time point the
+ * number of living bubbles of a series is exactly round(profit / bubbleValue).
+ *
+ * - Time is sampled every `step` years from the first to the last data year.
+ * - Profits between data years are linearly interpolated.
+ * - A bubble normally lives `lifeSpan` years; when a series' profit falls, the
+ *   oldest bubbles are retired early so the count still matches.
+ * - Opacity fades in/out over `fadePortion` of the lifespan at both ends.
+ *
+ * Births are appended in time order and the oldest bubbles always die first,
+ * so both birth and death times are sorted within a series. Scheduling keeps a
+ * sliding window over the living bubbles, and "who is alive at t" is two
+ * binary searches, which keeps scrubbing cheap with many bubbles.
+ */
+
+export const DEFAULT_STEP = 0.1;
+
+// Linear interpolation between (x0, y0) and (x1, y1)
+function lerp(x0, y0, x1, y1, t) {
+  if (x1 === x0) return y0;
+  const alpha = (t - x0) / (x1 - x0);
+  return y0 + alpha * (y1 - y0);
+}
+
+// First index in [lo, hi) whose value (via `accessor`) is greater than `x`
+function bisectRight(array, x, accessor, lo = 0, hi = array.length) {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (accessor(array[mid]) > x) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+const byYear = d => d.year;
+const byBirth = b => b.birth;
+const byDeath = b => b.death;
+
+/**
+ * Interpolated value of each series at time `t`, clamped to the first/last row.
+ * `data` must be sorted by year. With no time yet (FlowChart's first render
+ * after loading, before it picks a year) it's the first row.
+ */
+export function interpolateSeries(data, keys, t) {
+  const pick = row => Object.fromEntries(keys.map(key => [key, row ? row[key] || 0 : 0]));
+  if (!data.length) return pick(null);
+
+  if (!(t > data[0].year)) return pick(data[0]);
+  if (t >= data[data.length - 1].year) return pick(data[data.length - 1]);
+
+  // Find the right interval
+  const i1 = bisectRight(data, t, byYear) - 1;
+  const d0 = data[i1];
+  const d1 = data[i1 + 1];
+
+  return Object.fromEntries(keys.map(key =>
+    [key, lerp(d0.year, d0[key] || 0, d1.year, d1[key] || 0, t)]
+  ));
+}
+
+/**
+ * Opacity of a scheduled bubble ({ birth, death }) at time `t`.
+ * Fades 0 -> 1 over `fadeDuration` after birth and 1 -> 0 before death.
+ */
+export function getOpacity(bubble, t, fadeDuration) {
+  if (t == null) return 0;
+  const age = t - bubble.birth;
+  const remaining = bubble.death - t;
+  if (age < 0 || remaining <= 0) return 0;
+  if (fadeDuration <= 0) return 1;
+  return Math.min(1, age / fadeDuration, remaining / fadeDuration);
+}
+
+/**
+ * Number of bubbles a profit value should be drawn with.
+ */
+export function targetCount(profit, bubbleValue) {
+  if (!Number.isFinite(profit) || profit <= 0) return 0;
+  return Math.round(profit / bubbleValue);
+}
+
+/**
+ * Build the birth/death schedule for every series in `keys`.
+ * `lifeSpan` must be longer than `step`, so a bubble outlives the step it's born in.
+ *
+ * @param {Array<Object>} data   Rows of { year, [key]: profit }, sorted by year
+ * @param {string[]} keys        Series to schedule
+ * @param {Object} options       { bubbleValue, lifeSpan, step }
+ * @returns {{ times: number[], schedules: Object<string, Array<{birth: number, death: number}>> }}
+ */
+export function scheduleBubbleBirths(data, keys, { bubbleValue, lifeSpan, step = DEFAULT_STEP }) {
+  const schedules = Object.fromEntries(keys.map(key => [key, []]));
+  const times = [];
+  if (!data || data.length < 2) return { times, schedules };
+
+  const firstYear = data[0].year;
+  const lastYear = data[data.length - 1].year;
+  const stepCount = Math.floor((lastYear - firstYear) / step + 1e-9);
+
+  // Sample times are computed from the index, not accumulated, so they don't drift
+  for (let k = 0; k <= stepCount; k++) {
+    times.push(firstYear + k * step);
+  }
+
+  // For the initial period, add bubbles for pre-start visibility,
+  // staggered before the first year to avoid all appearing at once
+  const initialProfits = interpolateSeries(data, keys, firstYear);
+  keys.forEach(key => {
+    const count = targetCount(initialProfits[key], bubbleValue);
+    const spacing = Math.min(0.01, (lifeSpan * 0.8) / Math.max(count, 1));
+    for (let i = 0; i < count; i++) {
+      const birth = firstYear - lifeSpan * 0.9 + i * spacing;
+      schedules[key].push({ birth, death: birth + lifeSpan });
+    }
+  });
+
+  // Index of the oldest bubble that may still be alive, per series
+  const heads = Object.fromEntries(keys.map(key => [key, 0]));
+
+  times.forEach(t => {
+    const profits = interpolateSeries(data, keys, t);
+
+    keys.forEach(key => {
+      const schedule = schedules[key];
+      const target = targetCount(profits[key], bubbleValue);
+
+      // Slide the window past bubbles that have died; the rest are alive
+      let head = heads[key];
+      while (head < schedule.length && schedule[head].death <= t) head++;
+      const aliveCount = schedule.length - head;
+
+      if (aliveCount < target) {
+        // Spread new births over the step that ends at t, oldest first
+        const toAdd = target - aliveCount;
+        for (let j = toAdd - 1; j >= 0; j--) {
+          const birth = t - (step * j) / toAdd;
+          schedule.push({ birth, death: birth + lifeSpan });
+        }
+      } else if (aliveCount > target) {
+        // Profit fell: retire the oldest bubbles now
+        const retireEnd = head + aliveCount - target;
+        for (; head < retireEnd; head++) {
+          schedule[head].death = t;
+        }
+      }
+      heads[key] = head;
+    });
+  });
+
+  return { times, schedules };
+}
+
+/**
+ * Create a scheduler for `data`.
+ *
+ * @param {Array<Object>} data   Rows of { year, [key]: profit }
+ * @param {Object} options       { keys, bubbleValue, lifeSpan, fadePortion, step }
+ */
+export function createScheduler(data, { keys, bubbleValue, lifeSpan, fadePortion, step = DEFAULT_STEP }) {
+  const sorted = [...data].sort((a, b) => a.year - b.year);
+  const { times, schedules } = scheduleBubbleBirths(sorted, keys, { bubbleValue, lifeSpan, step });
+  const fadeDuration = lifeSpan * fadePortion;
+
+  return {
+    keys,
+    times,
+    schedules,
+
+    // Interpolated profit of every series at time t
+    profitsAt(t) {
+      return interpolateSeries(sorted, keys, t);
+    },
+
+    // Bubbles alive at time t (optionally only for some series),
+    // with a stable id and their opacity
+    aliveAt(t, onlyKeys = keys) {
+      const alive = [];
+      onlyKeys.forEach(key => {
+        const schedule = schedules[key];
+        if (!schedule) return;
+        // Born by t, and not dead at t
+        const end = bisectRight(schedule, t, byBirth);
+        const start = bisectRight(schedule, t, byDeath, 0, end);
+        for (let index = start; index < end; index++) {
+          const b = schedule[index];
+          alive.push({
+            id: `${key}-${index}`,
+            key,
+            birth: b.birth,
+            death: b.death,
+            opacity: getOpacity(b, t, fadeDuration)
+          });
+        }
+      });
+      return alive;
+    },
+
+    opacity(bubble, t) {
+      return getOpacity(bubble, t, fadeDuration);
+    }
+  };
+}
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { createScheduler, getOpacity, interpolateSeries, targetCount } from './scheduler';
+
+const BUBBLE_VALUE = 5000;
+const OPTIONS = { bubbleValue: BUBBLE_VALUE, lifeSpan: 1.0, fadePortion: 0.05 };
+
+// The aggregate the site ships with, parsed the same way FlowChart does
+function loadAggregate() {
+  const file = path.join(__dirname, '../../../public/mapc_region_residential_sales_clean_aggregated.csv');
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').trim().split('\n');
+  const columns = header.split(',');
+  return lines.map(line => {
+    const d = Object.fromEntries(line.split(',').map((v, i) => [columns[i], v]));
+    return {
+      year: +d.year,
+      investor: +d['total investor profit'],
+      noninvestor: +d['noninvestor profit']
+    };
+  });
+}
+
+function expectExactCounts(data, keys, scheduler) {
+  scheduler.times.forEach(t => {
+    const profits = interpolateSeries(data, keys, t);
+    const alive = scheduler.aliveAt(t);
+    keys.forEach(key => {
+      const count = alive.filter(b => b.key === key).length;
+      expect({ t, key, count }).toEqual({ t, key, count: Math.round(profits[key] / BUBBLE_VALUE) });
+    });
+  });
+}
+
+test('alive count matches round(profit / BUBBLE_VALUE) on the shipped data', () => {
+  const data = loadAggregate();
+  const keys = ['investor', 'noninvestor'];
+  const scheduler = createScheduler(data, { ...OPTIONS, keys });
+
+  expect(scheduler.times.length).toBeGreaterThan(200);
+  expectExactCounts(data, keys, scheduler);
+});
+
+test('counts stay exact for any number of series, including falling and empty ones', () => {
+  const data = [
+    { year: 2000, a: 100000, b: 20000, c: 0, d: 0 },
+    { year: 2001, a: 250000, b: 5000, c: 40000, d: 0 },
+    { year: 2002, a: 30000, b: 90000, c: 0, d: 0 },
+    { year: 2003, a: 30000, b: 0, c: 75000, d: 0 }
+  ];
+  const keys = ['a', 'b', 'c', 'd'];
+  const scheduler = createScheduler(data, { ...OPTIONS, keys });
+
+  expectExactCounts(data, keys, scheduler);
+  expect(scheduler.schedules.d).toEqual([]);
+});
+
+test('birth and death times are sorted within each series', () => {
+  const data = loadAggregate();
+  const scheduler = createScheduler(data, { ...OPTIONS, keys: ['investor', 'noninvestor'] });
+
+  scheduler.keys.forEach(key => {
+    const schedule = scheduler.schedules[key];
+    for (let i = 1; i < schedule.length; i++) {
+      expect(schedule[i].birth).toBeGreaterThanOrEqual(schedule[i - 1].birth);
+      expect(schedule[i].death).toBeGreaterThanOrEqual(schedule[i - 1].death);
+    }
+  });
+});
+
+test('profitsAt clamps outside the data (or with no time yet) and interpolates between years', () => {
+  const data = [
+    { year: 2000, investor: 100 },
+    { year: 2002, investor: 300 }
+  ];
+  const scheduler = createScheduler(data, { ...OPTIONS, keys: ['investor'] });
+
+  expect(scheduler.profitsAt(1990).investor).toBe(100);
+  expect(scheduler.profitsAt(2001).investor).toBe(200);
+  expect(scheduler.profitsAt(2050).investor).toBe(300);
+  // FlowChart asks before it has picked a year
+  expect(scheduler.profitsAt(undefined).investor).toBe(100);
+});
+
+test('opacity fades in after birth and out before death', () => {
+  const bubble = { birth: 2000, death: 2001 };
+  const fade = 0.05;
+
+  expect(getOpacity(bubble, 1999.9, fade)).toBe(0);
+  expect(getOpacity(bubble, 2000.025, fade)).toBeCloseTo(0.5);
+  expect(getOpacity(bubble, 2000.5, fade)).toBe(1);
+  expect(getOpacity(bubble, 2000.975, fade)).toBeCloseTo(0.5);
+  expect(getOpacity(bubble, 2001, fade)).toBe(0);
+});
+
+test('aliveAt reports opacity within [0, 1] and stable ids', () => {
+  const data = loadAggregate();
+  const scheduler = createScheduler(data, { ...OPTIONS, keys: ['investor', 'noninvestor'] });
+  const first = scheduler.aliveAt(2008.5);
+  const second = scheduler.aliveAt(2008.5);
+
+  expect(first.map(b => b.id)).toEqual(second.map(b => b.id));
+  first.forEach(b => {
+    expect(b.opacity).toBeGreaterThanOrEqual(0);
+    expect(b.opacity).toBeLessThanOrEqual(1);
+  });
+});
+
+test('targetCount ignores missing and negative profits', () => {
+  expect(targetCount(NaN, BUBBLE_VALUE)).toBe(0);
+  expect(targetCount(-20000, BUBBLE_VALUE)).toBe(0);
+  expect(targetCount(12500, BUBBLE_VALUE)).toBe(3);
+});
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+
+// Room each side annotation box needs outside the chart (box + arrow + gap)
+export const SIDE_ANNOTATION_SPACE = 320;
+
+// Never shrink the chart below this share of its design size
+const MIN_SCALE = 0.35;
+
+/**
+ * Watches the chart's container element and the viewport. Pass the element
+ * itself (e.g. from a callback ref kept in state), since the chart renders its
+ * container only once data has loaded.
+ *
+ * FlowChart lays everything out in design coordinates (config.width x
+ * config.height); `scale` is how much that drawing has to shrink to fit the
+ * container. `stacked` is true when the viewport has no room for the
+ * annotation boxes on either side of the chart, so they should stack below it.
+ */
+export default function useResponsiveLayout(container, designWidth) {
+  const [containerWidth, setContainerWidth] = useState(designWidth);
+  const [viewportWidth, setViewportWidth] = useState(
+    typeof window !== 'undefined' ? window.innerWidth : designWidth + 2 * SIDE_ANNOTATION_SPACE
+  );
+
+  useEffect(() => {
+    const el = container;
+    if (!el) return;
+
+    const measure = () => {
+      setContainerWidth(el.clientWidth || designWidth);
+      setViewportWidth(window.innerWidth);
+    };
+    measure();
+
+    // ResizeObserver catches container changes the window doesn't (e.g. layout shifts)
+    let observer = null;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(measure);
+      observer.observe(el);
+    }
+    window.addEventListener('resize', measure);
+    return () => {
+      if (observer) observer.disconnect();
+      window.removeEventListener('resize', measure);
+    };
+  }, [container, designWidth]);
+
+  const scale = Math.max(MIN_SCALE, Math.min(1, containerWidth / designWidth));
+  const stacked = viewportWidth < designWidth * scale + 2 * SIDE_ANNOTATION_SPACE;
+
+  return { scale, stacked };
+}
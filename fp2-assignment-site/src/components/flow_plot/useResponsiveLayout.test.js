@@ -0,0 +1,76 @@
+import { act, render, screen } from '@testing-library/react';
+import useResponsiveLayout, { SIDE_ANNOTATION_SPACE } from './useResponsiveLayout';
+
+// A ResizeObserver the test triggers by hand
+let observers = [];
+class FakeResizeObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.disconnect = jest.fn();
+    observers.push(this);
+  }
+
+  observe() {}
+}
+
+beforeEach(() => {
+  observers = [];
+  global.ResizeObserver = FakeResizeObserver;
+});
+
+afterEach(() => {
+  delete global.ResizeObserver;
+});
+
+// A container element `width` px wide
+function container(width) {
+  const el = document.createElement('div');
+  Object.defineProperty(el, 'clientWidth', { configurable: true, get: () => width });
+  return el;
+}
+
+function Layout({ element }) {
+  const { scale, stacked } = useResponsiveLayout(element, 800);
+  return <p>{`${scale} ${stacked ? 'stacked' : 'beside'}`}</p>;
+}
+
+function resize(el, width, viewport) {
+  Object.defineProperty(el, 'clientWidth', { configurable: true, get: () => width });
+  window.innerWidth = viewport;
+  act(() => observers.forEach(observer => observer.callback()));
+}
+
+test('full size with the annotations beside the chart when there is room', () => {
+  window.innerWidth = 800 + 2 * SIDE_ANNOTATION_SPACE;
+  render(<Layout element={container(1000)} />);
+  expect(screen.getByText('1 beside')).toBeInTheDocument();
+});
+
+test('shrinks to a narrow container and stacks the annotations below', () => {
+  window.innerWidth = 1300;
+  const el = container(1000);
+  render(<Layout element={el} />);
+  // 800 + 2 * 320 = 1440 doesn't fit in 1300
+  expect(screen.getByText('1 stacked')).toBeInTheDocument();
+
+  resize(el, 400, 420);
+  expect(screen.getByText('0.5 stacked')).toBeInTheDocument();
+
+  // Never below 35% of the design size
+  resize(el, 100, 120);
+  expect(screen.getByText('0.35 stacked')).toBeInTheDocument();
+});
+
+test('goes back beside the chart once the window widens, and stops watching on unmount', () => {
+  window.innerWidth = 600;
+  const el = container(600);
+  const { unmount } = render(<Layout element={el} />);
+  expect(screen.getByText('0.75 stacked')).toBeInTheDocument();
+
+  // 600 + 2 * 320 = 1240 fits
+  resize(el, 600, 1240);
+  expect(screen.getByText('0.75 beside')).toBeInTheDocument();
+
+  unmount();
+  expect(observers[0].disconnect).toHaveBeenCalled();
+});
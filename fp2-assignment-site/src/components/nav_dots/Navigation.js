@@ -1,51 +1,120 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import './Navigation.css'; // We'll add this CSS file next.
+import { readUrlState } from '../../urlState';
+import { isTyping } from '../../keyboard';
+import { useActiveSection, useSectionScroll } from '../scroll/ScrollProvider';
+import { sectionProgress } from '../scroll/scrollService';
+import { useSections } from '../sections/SectionRegistry';
 
-const sections = ['home', 'viz', 'dev']; // section IDs
+// The line a section has to reach to be current: a little above the middle of the viewport
+const activeLine = viewportHeight => viewportHeight / 2 - 100;
 
+// The section `step` away from `active` (-1 up, 1 down), stopping at the ends
+export function stepSection(ids, active, step) {
+  if (!ids.length) return null;
+  const index = ids.indexOf(active);
+  if (index < 0) return ids[step > 0 ? 0 : ids.length - 1];
+  return ids[Math.min(ids.length - 1, Math.max(0, index + step))];
+}
+
+// Up / down from a key press, or 0 for other keys
+function keyStep(e) {
+  if (e.altKey || e.ctrlKey || e.metaKey) return 0;
+  if (e.key === 'ArrowDown' || e.key === 'j') return 1;
+  if (e.key === 'ArrowUp' || e.key === 'k') return -1;
+  return 0;
+}
+
+function scrollToSection(id, behavior = 'smooth') {
+  const el = document.getElementById(id);
+  if (el) {
+    el.scrollIntoView({ behavior });
+  }
+}
+
+// One dot: fills as the page scrolls through its section, title on hover / focus
+function Dot({ section, active, buttonRef, onClick, onKeyDown }) {
+  const [progress, setProgress] = useState(0);
+  useSectionScroll(section.id, measure => setProgress(sectionProgress(measure, activeLine(measure.viewportHeight))));
+
+  return (
+    <button
+      ref={buttonRef}
+      onClick={onClick}
+      onKeyDown={onKeyDown}
+      className={`dot ${active ? 'active' : ''}`}
+      style={{ '--dot-fill': `${Math.round(progress * 100)}%` }}
+      aria-label={`Go to ${section.title}`}
+      aria-current={active ? 'true' : undefined}
+    >
+      <span className="dot-label" aria-hidden="true">{section.title}</span>
+    </button>
+  );
+}
+
+/**
+ * NavigationDots
+ *
+ * One dot per section registered through <Section> (see SectionRegistry.js),
+ * in page order. The current section's dot is highlighted and every dot
+ * fills as the page scrolls through its section. Up / down arrows on a dot,
+ * or j / k anywhere on the page, move between sections.
+ */
 export default function NavigationDots() {
-  const [active, setActive] = useState('');
+  const sections = useSections();
+  const ids = sections.map(section => section.id);
+  const active = useActiveSection(ids, { line: activeLine });
+  const buttons = useRef({});
 
+  // Deep links like "#viz?year=2008.5" don't match an element id,
+  // so the browser won't scroll to them; do it ourselves once the section is there
+  const scrolledToHash = useRef(false);
   useEffect(() => {
-    const handleScroll = () => {
-      const scrollPosition = window.scrollY + window.innerHeight / 2 -100;
-
-      for (let section of sections) {
-        const element = document.getElementById(section);
-        if (element) {
-          const top = element.offsetTop;
-          const height = element.offsetHeight;
-
-          if (scrollPosition >= top && scrollPosition < top + height) {
-            setActive(section);
-            break;
-          }
-        }
-      }
-    };
+    const { section } = readUrlState();
+    if (scrolledToHash.current || !ids.includes(section)) return;
+    scrolledToHash.current = true;
+    scrollToSection(section, 'auto');
+  });
 
-    window.addEventListener('scroll', handleScroll);
-    handleScroll(); // set active state on load
-    return () => window.removeEventListener('scroll', handleScroll);
+  // j / k from anywhere on the page
+  const activeRef = useRef(active);
+  activeRef.current = active;
+  const idsRef = useRef(ids);
+  idsRef.current = ids;
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key !== 'j' && e.key !== 'k') return;
+      const step = keyStep(e);
+      if (!step || isTyping(e.target) || e.defaultPrevented) return;
+      const next = stepSection(idsRef.current, activeRef.current, step);
+      if (next) scrollToSection(next);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
   }, []);
 
-  const handleClick = (section) => {
-    const el = document.getElementById(section);
-    if (el) {
-      el.scrollIntoView({ behavior: 'smooth' });
-    }
+  // Arrows (and j / k) on a dot move focus to the next dot and go there
+  const handleKeyDown = (e, id) => {
+    const step = keyStep(e);
+    if (!step) return;
+    e.preventDefault();
+    const next = stepSection(ids, id, step);
+    if (buttons.current[next]) buttons.current[next].focus();
+    scrollToSection(next);
   };
 
   return (
-    <div className="dot-sidebar">
+    <nav className="dot-sidebar" aria-label="Sections">
       {sections.map((section) => (
-        <button
-          key={section}
-          onClick={() => handleClick(section)}
-          className={`dot ${active === section ? 'active' : ''}`}
-          aria-label={`Go to ${section}`}
+        <Dot
+          key={section.id}
+          section={section}
+          active={active === section.id}
+          buttonRef={el => { buttons.current[section.id] = el; }}
+          onClick={() => scrollToSection(section.id)}
+          onKeyDown={e => handleKeyDown(e, section.id)}
         />
       ))}
-    </div>
+    </nav>
   );
-}
\ No newline at end of file
+}
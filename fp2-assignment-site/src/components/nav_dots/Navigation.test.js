@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import NavigationDots, { stepSection } from './Navigation';
+import { Section, SectionProvider } from '../sections/SectionRegistry';
+
+beforeEach(() => {
+  Element.prototype.scrollIntoView = jest.fn();
+});
+
+test('steps between sections and stops at the ends', () => {
+  const ids = ['home', 'viz', 'dev'];
+  expect(stepSection(ids, 'home', 1)).toBe('viz');
+  expect(stepSection(ids, 'dev', 1)).toBe('dev');
+  expect(stepSection(ids, 'home', -1)).toBe('home');
+  expect(stepSection(ids, null, 1)).toBe('home');
+  expect(stepSection([], null, 1)).toBeNull();
+});
+
+// The middle section mounts last, as a lazy-loaded chart would
+function Page() {
+  const [showViz, setShowViz] = useState(false);
+  return (
+    <SectionProvider>
+      <NavigationDots />
+      <Section id="home" title="Introduction" />
+      {showViz && <Section id="viz" title="Profits" />}
+      <Section id="dev" title="Development process" />
+      <button onClick={() => setShowViz(true)}>Load</button>
+    </SectionProvider>
+  );
+}
+
+test('builds a dot per registered section, in page order', () => {
+  render(<Page />);
+  expect(screen.getAllByRole('button', { name: /^Go to/ }).map(b => b.textContent))
+    .toEqual(['Introduction', 'Development process']);
+
+  fireEvent.click(screen.getByText('Load'));
+  expect(screen.getAllByRole('button', { name: /^Go to/ }).map(b => b.textContent))
+    .toEqual(['Introduction', 'Profits', 'Development process']);
+});
+
+test('moves between sections with the keyboard', () => {
+  render(<Page />);
+  fireEvent.click(screen.getByText('Load'));
+  const home = screen.getByRole('button', { name: 'Go to Introduction' });
+  act(() => home.focus());
+
+  const profits = screen.getByRole('button', { name: 'Go to Profits' });
+  fireEvent.keyDown(home, { key: 'ArrowDown' });
+  expect(profits).toHaveFocus();
+  expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+
+  fireEvent.keyDown(profits, { key: 'k' });
+  expect(home).toHaveFocus();
+
+  // j elsewhere on the page goes to the next section, but not while typing
+  Element.prototype.scrollIntoView.mockClear();
+  fireEvent.keyDown(document.body, { key: 'j' });
+  expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+
+  const input = document.createElement('input');
+  document.body.appendChild(input);
+  fireEvent.keyDown(input, { key: 'j' });
+  expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+  input.remove();
+});
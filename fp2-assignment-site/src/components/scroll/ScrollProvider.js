@@ -0,0 +1,90 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { createScrollService, sectionAt, sectionProgress } from './scrollService';
+
+/**
+ * ScrollProvider and scroll hooks
+ *
+ * Wrap the page in <ScrollProvider> and scroll-linked components share its
+ * scroll service (scrollService.js) through the hooks below, rather than
+ * each adding its own scroll listener. Outside a provider the hooks fall
+ * back to one service for the whole window.
+ *
+ * - useSectionScroll(target, onMeasure): onMeasure({ top, height, viewportHeight })
+ *   whenever the section moves; `target` is an element id or a ref
+ * - useSectionProgress(id, { offset }): 0..1, how far a line `offset` px below
+ *   the top of the viewport is through the section
+ * - useActiveSection(ids, { line }): the id of the section under the line
+ *   `line(viewportHeight)` px below the top of the viewport
+ *
+ * Pass `service` to the provider to use a service of your own (e.g. in
+ * tests, one made with createScrollService over a fake window).
+ */
+
+const ScrollContext = createContext(null);
+
+let windowService = null;
+
+function useScrollService() {
+  const service = useContext(ScrollContext);
+  if (service) return service;
+  if (!windowService) windowService = createScrollService(window);
+  return windowService;
+}
+
+export function ScrollProvider({ service, children }) {
+  const [ownService] = useState(() => (service ? null : createScrollService(window)));
+  useEffect(() => () => {
+    if (ownService) ownService.destroy();
+  }, [ownService]);
+
+  return (
+    <ScrollContext.Provider value={service || ownService}>
+      {children}
+    </ScrollContext.Provider>
+  );
+}
+
+// Calls onMeasure as the section moves; a null target watches nothing
+export function useSectionScroll(target, onMeasure) {
+  const service = useScrollService();
+  const onMeasureRef = useRef(onMeasure);
+  onMeasureRef.current = onMeasure;
+
+  useEffect(() => {
+    if (target == null) return;
+    const resolve = typeof target === 'string' ? target : () => target.current;
+    return service.watch(resolve, measure => onMeasureRef.current(measure));
+  }, [service, target]);
+}
+
+export function useSectionProgress(id, { offset = 0 } = {}) {
+  const [progress, setProgress] = useState(0);
+  useSectionScroll(id, measure => setProgress(sectionProgress(measure, offset)));
+  return progress;
+}
+
+/**
+ * The section under the line is "active"; between sections the last active
+ * one stays active (null until one is reached). `ids` are in page order.
+ */
+export function useActiveSection(ids, { line = viewportHeight => viewportHeight / 2 } = {}) {
+  const service = useScrollService();
+  const [active, setActive] = useState(null);
+  const lineRef = useRef(line);
+  lineRef.current = line;
+  const key = ids.join('\n');
+
+  useEffect(() => {
+    const sectionIds = key ? key.split('\n') : [];
+    const measures = new Map();
+    const stops = sectionIds.map(id => service.watch(id, measure => {
+      measures.set(id, measure);
+      const at = lineRef.current(measure.viewportHeight);
+      const hit = sectionAt(sectionIds.map(sectionId => [sectionId, measures.get(sectionId)]), at);
+      if (hit != null) setActive(hit);
+    }));
+    return () => stops.forEach(stop => stop());
+  }, [service, key]);
+
+  return active;
+}
@@ -0,0 +1,156 @@
+/**
+ * Scroll service
+ *
+ * One place that watches page scroll for every scroll-linked component
+ * (navigation dots, the intro line, the scroll story...). Components watch a
+ * section and get its position relative to the viewport whenever it moves:
+ *
+ *   const stop = service.watch('viz', ({ top, height, viewportHeight }) => ...);
+ *
+ * However many sections are watched there is one scroll and one resize
+ * listener, and measuring happens at most once per animation frame. An
+ * IntersectionObserver (where the browser has one) narrows each frame to the
+ * sections on screen: off screen a section's progress is stuck at 0 or 1, so
+ * it gets one last measurement as it leaves and none after that.
+ *
+ * Sections are named by element id (looked up again each frame, so they can
+ * mount after the watcher, and a missing one is just skipped) or by a
+ * function returning the element, e.g. for a ref.
+ *
+ * `win` is the window to watch; tests pass a fake one with a mocked viewport.
+ */
+
+// Position of a section: its top relative to the viewport, its height and the viewport's
+function measure(element, win) {
+  const rect = element.getBoundingClientRect();
+  return { top: rect.top, height: rect.height, viewportHeight: win.innerHeight };
+}
+
+function sameMeasure(a, b) {
+  return a != null && a.top === b.top && a.height === b.height && a.viewportHeight === b.viewportHeight;
+}
+
+/**
+ * How far a line `offset` px below the top of the viewport has moved through
+ * a section, 0 (above the section's top) to 1 (past its bottom).
+ */
+export function sectionProgress({ top, height }, offset = 0) {
+  if (!(height > 0)) return offset >= top ? 1 : 0;
+  return Math.min(1, Math.max(0, (offset - top) / height));
+}
+
+/**
+ * The id of the first section the line `line` px below the top of the
+ * viewport falls in, or null. `measures` is [[id, measure]...] in page order;
+ * sections not measured yet (measure null) are skipped.
+ */
+export function sectionAt(measures, line) {
+  const hit = measures.find(([, m]) => m != null && m.top <= line && line < m.top + m.height);
+  return hit ? hit[0] : null;
+}
+
+export function createScrollService(win = window) {
+  const watchers = new Set();
+  const observed = new Map(); // element => number of watchers on it
+  const onScreen = new Set();
+  const leaving = new Set(); // elements the observer just reported on, to measure once more
+  let frame = null;
+
+  const observer = typeof win.IntersectionObserver === 'function'
+    ? new win.IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) onScreen.add(entry.target);
+        else onScreen.delete(entry.target);
+        leaving.add(entry.target);
+      });
+      schedule();
+    })
+    : null;
+
+  function observe(element) {
+    if (!element) return;
+    observed.set(element, (observed.get(element) || 0) + 1);
+    if (observer && observed.get(element) === 1) observer.observe(element);
+  }
+
+  function unobserve(element) {
+    if (!element || !observed.has(element)) return;
+    const count = observed.get(element) - 1;
+    if (count > 0) {
+      observed.set(element, count);
+      return;
+    }
+    observed.delete(element);
+    onScreen.delete(element);
+    if (observer) observer.unobserve(element);
+  }
+
+  function run() {
+    frame = null;
+    watchers.forEach(watcher => {
+      const element = watcher.resolve();
+      if (element !== watcher.element) {
+        unobserve(watcher.element);
+        observe(element);
+        watcher.element = element;
+        watcher.last = null;
+      }
+      if (!element) return;
+      // Without an observer every section is measured every frame
+      const stale = watcher.last == null || !observer || onScreen.has(element) || leaving.has(element);
+      if (!stale) return;
+
+      const next = measure(element, win);
+      if (sameMeasure(watcher.last, next)) return;
+      watcher.last = next;
+      watcher.listener(next);
+    });
+    leaving.clear();
+  }
+
+  function schedule() {
+    if (frame == null) frame = win.requestAnimationFrame(run);
+  }
+
+  /**
+   * Call `listener({ top, height, viewportHeight })` whenever the section
+   * moves relative to the viewport, starting with the next frame.
+   * `target` is an element id or a function returning the element.
+   * Returns a function that stops watching.
+   */
+  function watch(target, listener) {
+    const resolve = typeof target === 'function' ? target : () => win.document.getElementById(target);
+    const watcher = { resolve, listener, element: null, last: null };
+    if (!watchers.size) {
+      win.addEventListener('scroll', schedule, { passive: true });
+      win.addEventListener('resize', schedule);
+    }
+    watchers.add(watcher);
+    schedule();
+
+    return () => {
+      if (!watchers.delete(watcher)) return;
+      unobserve(watcher.element);
+      if (!watchers.size) {
+        win.removeEventListener('scroll', schedule);
+        win.removeEventListener('resize', schedule);
+      }
+    };
+  }
+
+  function destroy() {
+    if (frame != null) win.cancelAnimationFrame(frame);
+    frame = null;
+    if (watchers.size) {
+      win.removeEventListener('scroll', schedule);
+      win.removeEventListener('resize', schedule);
+    }
+    watchers.clear();
+    observed.clear();
+    onScreen.clear();
+    if (observer) observer.disconnect();
+  }
+
+  // `update()` re-measures on the next frame, for layout changes that don't scroll
+  return { watch, update: schedule, destroy };
+}
@@ -0,0 +1,198 @@
+import { act, render, screen } from '@testing-library/react';
+import { createScrollService, sectionAt, sectionProgress } from './scrollService';
+import { ScrollProvider, useActiveSection, useSectionProgress } from './ScrollProvider';
+
+// A window with an 800px viewport, sections laid out down the page and
+// animation frames that only run on flush()
+function fakeWindow() {
+  const listeners = { scroll: new Set(), resize: new Set() };
+  const elements = {};
+  let frames = new Map();
+  let nextFrame = 1;
+  let scrollY = 0;
+
+  const win = {
+    innerHeight: 800,
+    measured: [],
+    document: { getElementById: id => elements[id] || null },
+    addEventListener: (type, fn) => listeners[type].add(fn),
+    removeEventListener: (type, fn) => listeners[type].delete(fn),
+    requestAnimationFrame: fn => {
+      frames.set(nextFrame, fn);
+      return nextFrame++;
+    },
+    cancelAnimationFrame: id => frames.delete(id)
+  };
+
+  return {
+    win,
+    listenerCount: type => listeners[type].size,
+    addSection(id, pageTop, height) {
+      elements[id] = {
+        id,
+        getBoundingClientRect: () => {
+          win.measured.push(id);
+          return { top: pageTop - scrollY, height };
+        }
+      };
+      return elements[id];
+    },
+    removeSection(id) {
+      delete elements[id];
+    },
+    scrollTo(y) {
+      scrollY = y;
+      listeners.scroll.forEach(fn => fn());
+    },
+    flush() {
+      const pending = frames;
+      frames = new Map();
+      pending.forEach(fn => fn());
+    }
+  };
+}
+
+test('measures progress through a section from a line in the viewport', () => {
+  expect(sectionProgress({ top: 100, height: 1000 })).toBe(0);
+  expect(sectionProgress({ top: -250, height: 1000 })).toBe(0.25);
+  expect(sectionProgress({ top: 200, height: 1000 }, 400)).toBe(0.2);
+  expect(sectionProgress({ top: -1200, height: 1000 })).toBe(1);
+});
+
+test('finds the first section under a line', () => {
+  const measures = [
+    ['home', { top: -900, height: 1000 }],
+    ['viz', null],
+    ['dev', { top: 100, height: 500 }]
+  ];
+  expect(sectionAt(measures, 50)).toBe('home');
+  expect(sectionAt(measures, 300)).toBe('dev');
+  expect(sectionAt(measures, 700)).toBeNull();
+});
+
+test('shares one scroll listener and measures once per frame', () => {
+  const page = fakeWindow();
+  page.addSection('home', 0, 1000);
+  page.addSection('viz', 1000, 2000);
+  const service = createScrollService(page.win);
+  const home = jest.fn();
+  const viz = jest.fn();
+
+  const stops = [service.watch('home', home), service.watch('viz', viz), service.watch('viz', viz)];
+  expect(page.listenerCount('scroll')).toBe(1);
+
+  page.flush();
+  expect(home).toHaveBeenLastCalledWith({ top: 0, height: 1000, viewportHeight: 800 });
+
+  page.win.measured = [];
+  page.scrollTo(100);
+  page.scrollTo(300);
+  page.scrollTo(500);
+  page.flush();
+  expect(page.win.measured).toEqual(['home', 'viz', 'viz']);
+  expect(viz).toHaveBeenLastCalledWith({ top: 500, height: 2000, viewportHeight: 800 });
+
+  // Nothing moved, so nobody hears about it
+  home.mockClear();
+  page.scrollTo(500);
+  page.flush();
+  expect(home).not.toHaveBeenCalled();
+
+  stops.forEach(stop => stop());
+  expect(page.listenerCount('scroll')).toBe(0);
+});
+
+test('skips sections that are missing and picks them up once they mount', () => {
+  const page = fakeWindow();
+  const service = createScrollService(page.win);
+  const listener = jest.fn();
+  service.watch('info_1', listener);
+
+  page.flush();
+  expect(listener).not.toHaveBeenCalled();
+
+  page.addSection('info_1', 1000, 600);
+  page.scrollTo(700);
+  page.flush();
+  expect(listener).toHaveBeenCalledWith({ top: 300, height: 600, viewportHeight: 800 });
+
+  page.removeSection('info_1');
+  page.scrollTo(800);
+  expect(() => page.flush()).not.toThrow();
+});
+
+test('only measures sections the observer reports on screen', () => {
+  const page = fakeWindow();
+  let report;
+  page.win.IntersectionObserver = class {
+    constructor(callback) {
+      report = entries => callback(entries.map(([target, isIntersecting]) => ({ target, isIntersecting })));
+    }
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  const home = page.addSection('home', 0, 1000);
+  const dev = page.addSection('dev', 5000, 1000);
+  const service = createScrollService(page.win);
+  service.watch('home', () => {});
+  service.watch('dev', () => {});
+
+  // The first frame measures everything once
+  page.flush();
+  report([[home, true], [dev, false]]);
+  page.flush();
+
+  page.win.measured = [];
+  page.scrollTo(200);
+  page.flush();
+  expect(page.win.measured).toEqual(['home']);
+
+  // A section leaving the screen is measured one last time
+  report([[home, false]]);
+  page.flush();
+  page.scrollTo(1200);
+  page.flush();
+  expect(page.win.measured).toEqual(['home', 'home']);
+});
+
+function Probe() {
+  const active = useActiveSection(['home', 'viz', 'dev'], { line: viewportHeight => viewportHeight / 2 - 100 });
+  const progress = useSectionProgress('home');
+  return <p>{`${active} ${progress}`}</p>;
+}
+
+test('hooks follow the page through the provider', () => {
+  const page = fakeWindow();
+  page.addSection('home', 0, 1000);
+  page.addSection('viz', 1000, 2000);
+  page.addSection('dev', 3000, 1000);
+  const service = createScrollService(page.win);
+
+  render(<ScrollProvider service={service}><Probe /></ScrollProvider>);
+  act(() => page.flush());
+  expect(screen.getByText('home 0')).toBeInTheDocument();
+
+  act(() => {
+    page.scrollTo(500);
+    page.flush();
+  });
+  expect(screen.getByText('home 0.5')).toBeInTheDocument();
+
+  act(() => {
+    page.scrollTo(1000);
+    page.flush();
+  });
+  expect(screen.getByText('viz 1')).toBeInTheDocument();
+
+  // Past the last section the last one stays active
+  act(() => {
+    page.scrollTo(3000);
+    page.flush();
+  });
+  act(() => {
+    page.scrollTo(5000);
+    page.flush();
+  });
+  expect(screen.getByText('dev 1')).toBeInTheDocument();
+});
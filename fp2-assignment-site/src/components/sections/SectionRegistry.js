@@ -0,0 +1,73 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+
+/**
+ * Section registry
+ *
+ * Page sections register themselves by rendering through <Section>, so the
+ * navigation can list them without a hard-coded table:
+ *
+ *   <Section id="viz" title="Investor profits" className="flow section">...</Section>
+ *
+ * <SectionProvider> (around the page) collects them and useSections() returns
+ * [{ id, title }] in page order, whatever order they mounted in. `as` picks
+ * the element Section renders (default 'div'); other props pass through.
+ * Ids must be unique, since navigation, scroll tracking and URL state all
+ * find a section by its id: a second section with a mounted section's id is
+ * left out of the list, with a warning in development. (The chapter ids are
+ * checked up front, see chapters/chapterConfig.js.)
+ */
+
+const SectionContext = createContext(null);
+
+// Registered sections => [{ id, title }] sorted by where their elements sit in the page
+export function inPageOrder(entries) {
+  return [...entries]
+    .sort((a, b) => {
+      if (!a.element || !b.element) return 0;
+      return a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    })
+    .map(({ id, title }) => ({ id, title }));
+}
+
+export function SectionProvider({ children }) {
+  const [entries, setEntries] = useState([]);
+  const mounted = useRef(new Map()); // id => entry
+
+  const register = useCallback((entry) => {
+    if (mounted.current.has(entry.id)) {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn(`Sections: two sections share the id "${entry.id}"; only the first is listed.`);
+      }
+      return () => {};
+    }
+    mounted.current.set(entry.id, entry);
+    setEntries(current => [...current, entry]);
+    return () => {
+      mounted.current.delete(entry.id);
+      setEntries(current => current.filter(e => e !== entry));
+    };
+  }, []);
+
+  const value = useMemo(() => ({ register, sections: inPageOrder(entries) }), [register, entries]);
+
+  return <SectionContext.Provider value={value}>{children}</SectionContext.Provider>;
+}
+
+export function Section({ id, title, as: Element = 'div', children, ...rest }) {
+  const context = useContext(SectionContext);
+  const ref = useRef(null);
+  const register = context && context.register;
+
+  useEffect(() => {
+    if (!register) return;
+    return register({ id, title, element: ref.current });
+  }, [register, id, title]);
+
+  return <Element ref={ref} id={id} {...rest}>{children}</Element>;
+}
+
+// [{ id, title }] of the registered sections, in page order
+export function useSections() {
+  const context = useContext(SectionContext);
+  return context ? context.sections : [];
+}
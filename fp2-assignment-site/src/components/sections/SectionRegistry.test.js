@@ -0,0 +1,33 @@
+import { render, screen } from '@testing-library/react';
+import { Section, SectionProvider, useSections } from './SectionRegistry';
+
+function Titles() {
+  return <p>{useSections().map(section => section.title).join(', ')}</p>;
+}
+
+test('lists sections in page order', () => {
+  render(
+    <SectionProvider>
+      <Titles />
+      <Section id="home" title="Introduction" />
+      <Section id="dev" title="Development process" />
+    </SectionProvider>
+  );
+  expect(screen.getByText('Introduction, Development process')).toBeInTheDocument();
+});
+
+test('a second section with a taken id is skipped with a warning, not a crash', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  render(
+    <SectionProvider>
+      <Titles />
+      <Section id="home" title="Introduction" />
+      <Section id="home" title="Copy" />
+      <Section id="dev" title="Development process" />
+    </SectionProvider>
+  );
+
+  expect(screen.getByText('Introduction, Development process')).toBeInTheDocument();
+  expect(console.warn).toHaveBeenCalledWith('Sections: two sections share the id "home"; only the first is listed.');
+  console.warn.mockRestore();
+});
@@ -0,0 +1,77 @@
+import React, { createContext, useContext, useState, useSyncExternalStore } from 'react';
+
+/**
+ * Site store
+ *
+ * State every chart on the page shares, so they move together: scrubbing
+ * any chart's timeline moves all of them, and hovering a series in one
+ * highlights it in the others.
+ *
+ *   year       the year the timelines show (fractional while playing), or null
+ *   selection  the highlighted series ('investor', 'noninvestor', 'gap' or an
+ *              investor segment key, see flowData.js), or null
+ *   region     the region id the charts show (see regions.js), or null for
+ *              the default region
+ *   statistic  which statistic of each year's profits the charts show (a
+ *              STATISTICS key, see flowData.js)
+ *   dollars    'nominal', or 'real' for profits restated in base-year
+ *              dollars (see inflation.js)
+ *
+ * It's a small external store read through useSyncExternalStore, so a
+ * component re-renders only when the value it selects changes:
+ *
+ *   const year = useSiteState(state => state.year);
+ *   useSiteStore().setState({ year: 2008 });
+ *
+ * Wrap the page in <SiteStoreProvider>; outside one, the hooks share a
+ * single store. Pass `store` (from createSiteStore) to the provider in tests.
+ */
+
+export const INITIAL_SITE_STATE = { year: null, selection: null, region: null, statistic: 'mean', dollars: 'nominal' };
+
+export function createSiteStore(initial = {}) {
+  let state = { ...INITIAL_SITE_STATE, ...initial };
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+
+    // Merge `patch` into the state; listeners only hear about real changes
+    setState(patch) {
+      if (Object.keys(patch).every(key => Object.is(state[key], patch[key]))) return;
+      state = { ...state, ...patch };
+      listeners.forEach(listener => listener());
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+const SiteStoreContext = createContext(null);
+
+let pageStore = null;
+
+export function SiteStoreProvider({ store, children }) {
+  const [ownStore] = useState(() => store || createSiteStore());
+  return <SiteStoreContext.Provider value={ownStore}>{children}</SiteStoreContext.Provider>;
+}
+
+export function useSiteStore() {
+  const store = useContext(SiteStoreContext);
+  if (store) return store;
+  if (!pageStore) pageStore = createSiteStore();
+  return pageStore;
+}
+
+/**
+ * The part of the site state `selector` picks out. Select single values
+ * (or other things that compare equal with Object.is from one call to the
+ * next), not new objects.
+ */
+export function useSiteState(selector) {
+  const store = useSiteStore();
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+}
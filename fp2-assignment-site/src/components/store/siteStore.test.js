@@ -0,0 +1,64 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { createSiteStore, SiteStoreProvider, useSiteState, useSiteStore } from './siteStore';
+
+test('merges updates and only notifies on real changes', () => {
+  const store = createSiteStore({ region: 'boston' });
+  const listener = jest.fn();
+  const unsubscribe = store.subscribe(listener);
+
+  expect(store.getState()).toEqual({
+    year: null, selection: null, region: 'boston', statistic: 'mean', dollars: 'nominal'
+  });
+
+  store.setState({ year: 2008 });
+  expect(store.getState()).toMatchObject({ year: 2008, selection: null, region: 'boston' });
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  store.setState({ year: 2008, region: 'boston' });
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+  store.setState({ selection: 'investor' });
+  expect(listener).toHaveBeenCalledTimes(1);
+});
+
+// Two stand-ins for charts: one scrubs and hovers, the other follows
+function Scrubber() {
+  const store = useSiteStore();
+  return (
+    <button
+      onClick={() => store.setState({ year: 2013 })}
+      onMouseEnter={() => store.setState({ selection: 'investor' })}
+    >
+      Scrub
+    </button>
+  );
+}
+
+let followerDraws = 0;
+function Follower() {
+  const year = useSiteState(state => state.year);
+  const selection = useSiteState(state => state.selection);
+  followerDraws++;
+  return <p>{`${year} ${selection}`}</p>;
+}
+
+test('charts under one provider follow each other', () => {
+  const store = createSiteStore();
+  render(
+    <SiteStoreProvider store={store}>
+      <Scrubber />
+      <Follower />
+    </SiteStoreProvider>
+  );
+  expect(screen.getByText('null null')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Scrub'));
+  fireEvent.mouseEnter(screen.getByText('Scrub'));
+  expect(screen.getByText('2013 investor')).toBeInTheDocument();
+
+  // A change to something it doesn't select doesn't re-render it
+  const drawsBefore = followerDraws;
+  act(() => store.setState({ region: 'boston' }));
+  expect(followerDraws).toBe(drawsBefore);
+});
@@ -0,0 +1,16 @@
+/**
+ * Keyboard helpers
+ *
+ * Page-wide shortcuts (j / k between sections, Space to play a chart) have
+ * to leave keys alone while the reader is using a control that wants them.
+ */
+
+// Typing in a form field shouldn't trigger shortcuts
+export function isTyping(target) {
+  return Boolean(target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)));
+}
+
+// Whether Space on `target` is the target's own business: pressing a button, typing, opening a select
+export function ownsSpaceKey(target) {
+  return isTyping(target) || Boolean(target && target.tagName === 'BUTTON');
+}
@@ -0,0 +1,18 @@
+import { isTyping, ownsSpaceKey } from './keyboard';
+
+test('form fields and editable content count as typing', () => {
+  ['input', 'select', 'textarea'].forEach(tag => {
+    expect(isTyping(document.createElement(tag))).toBe(true);
+  });
+  expect(isTyping({ tagName: 'DIV', isContentEditable: true })).toBe(true);
+  expect(isTyping(document.createElement('div'))).toBe(false);
+  expect(isTyping(null)).toBe(false);
+});
+
+test('Space is left to buttons and form fields', () => {
+  ['button', 'input', 'select', 'textarea'].forEach(tag => {
+    expect(ownsSpaceKey(document.createElement(tag))).toBe(true);
+  });
+  expect(ownsSpaceKey(document.createElement('canvas'))).toBe(false);
+  expect(ownsSpaceKey(document.createElement('div'))).toBe(false);
+});
@@ -0,0 +1,55 @@
+/**
+ * URL state
+ *
+ * The site keeps shareable state in the hash as "#<section>?<params>", e.g.
+ * "#viz?year=2008.5&mode=segments". The section part is a section id the
+ * navigation can scroll to; the params belong to whatever lives in it.
+ */
+
+/**
+ * Split a hash ("#viz?year=2008.5") into { section, params }.
+ * Params are returned as strings; callers validate what they use.
+ */
+export function parseHash(hash) {
+  const raw = (hash || '').replace(/^#/, '');
+  const [section, query = ''] = raw.split('?');
+  const params = {};
+  new URLSearchParams(query).forEach((value, key) => {
+    params[key] = value;
+  });
+  return { section: decodeURIComponent(section), params };
+}
+
+/**
+ * Build a hash from a section id and params. Params that are null,
+ * undefined or empty strings are left out.
+ */
+export function formatHash(section, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value != null && value !== '') query.set(key, String(value));
+  });
+  const search = query.toString();
+  return `#${encodeURIComponent(section)}${search ? `?${search}` : ''}`;
+}
+
+// The current window's hash, parsed
+export function readUrlState() {
+  return parseHash(window.location.hash);
+}
+
+/**
+ * Write section + params to the URL. Pushes a history entry (so back/forward
+ * move between states) unless `replace` is set. Does nothing if the URL
+ * already says the same thing.
+ */
+export function writeUrlState(section, params, { replace = false } = {}) {
+  const hash = formatHash(section, params);
+  if (hash === window.location.hash) return;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
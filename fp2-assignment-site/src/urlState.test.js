@@ -0,0 +1,34 @@
+import { formatHash, parseHash, writeUrlState } from './urlState';
+
+test('parses a section with chart params', () => {
+  expect(parseHash('#viz?year=2008.5&mode=segments')).toEqual({
+    section: 'viz',
+    params: { year: '2008.5', mode: 'segments' }
+  });
+});
+
+test('parses plain section hashes and empty hashes', () => {
+  expect(parseHash('#dev')).toEqual({ section: 'dev', params: {} });
+  expect(parseHash('')).toEqual({ section: '', params: {} });
+});
+
+test('formats params and skips empty ones', () => {
+  expect(formatHash('viz', { year: 2009, mode: 'total', focus: null })).toBe('#viz?year=2009&mode=total');
+  expect(formatHash('home')).toBe('#home');
+});
+
+test('round-trips through parse and format', () => {
+  const hash = formatHash('viz', { year: 2012.25, mode: 'segments' });
+  expect(parseHash(hash)).toEqual({ section: 'viz', params: { year: '2012.25', mode: 'segments' } });
+});
+
+test('pushes a history entry only when the state changes', () => {
+  window.history.replaceState(null, '', '/');
+  const before = window.history.length;
+
+  writeUrlState('viz', { year: 2008 });
+  writeUrlState('viz', { year: 2008 });
+
+  expect(window.location.hash).toBe('#viz?year=2008');
+  expect(window.history.length).toBe(before + 1);
+});